@@ -0,0 +1,160 @@
+/**
+ * This file contains the code for the batch grading page. It loads many plans
+ * saved with "Save as JSON" (e.g. the <id>-plan.json files collected from a
+ * class), checks each one for problems, and shows a sortable table of them.
+ * Clicking on a row opens that plan read-only in the normal planner.
+ */
+
+import { Model } from './src/model.js';
+import { updateAllProblems, countFunctions } from './src/problem-checker.js';
+import { collectProblems, gradePlan } from './src/grading.js';
+import { viewPlan } from './src/plan-viewer.js';
+import { readPlan } from './src/plan-schema.js';
+import { escapeHtml } from './src/utils.js';
+import { plannerOptions } from './function-planner.js';
+
+import './function-planner.css';
+
+const PLAN_FILE_SUFFIX = /(-plan)?\.json$/i;
+
+// the columns of the table, the score column is only shown with a rubric
+const COLUMNS = [
+    { id: 'id', label: 'Plan', value: (plan) => plan.id },
+    { id: 'authors', label: 'Authors', value: (plan) => plan.authors.join(', ') },
+    { id: 'errors', label: 'Errors', value: (plan) => plan.errors },
+    { id: 'warnings', label: 'Warnings', value: (plan) => plan.warnings },
+    { id: 'functions', label: 'Functions', value: (plan) => plan.counts.total },
+    { id: 'testable', label: 'Testable', value: (plan) => plan.counts.testable },
+    { id: 'score', label: 'Score', value: (plan) => plan.score, rubric: true },
+];
+
+/**
+ * Initialize the batch grading page in the given root element.
+ * @param {HTMLElement|string} rootElem
+ * @param {object} options - The same options as given to the planner for the
+ *  assignment (see init() in function-planner.js), used for checking the plans
+ *  and when opening them
+ */
+export default function initBatch(rootElem, options={}) {
+    rootElem = typeof rootElem === 'string' ? document.getElementById(rootElem) : rootElem;
+    options = plannerOptions(options);
+    const columns = COLUMNS.filter(column => !column.rubric || options.rubric);
+
+    rootElem.classList.add('func-planner-batch');
+    rootElem.classList.toggle('dark-mode', options.theme === 'dark');
+    rootElem.innerHTML = `<h1>${escapeHtml(options.title || 'Batch Grading')}</h1>
+<p>Drop a folder of plans (or the plan JSON files) here or
+<label>choose the files<input type="file" accept=".json,application/json" multiple></label>
+<label>choose a folder<input type="file" webkitdirectory></label>.</p>
+<table><thead><tr>${columns.map(column => `<th data-column="${column.id}">${column.label}</th>`).join('')}</tr></thead><tbody></tbody></table>`;
+    const tbody = rootElem.querySelector('tbody');
+
+    const plans = new Map();
+    let sortColumn = 'id', ascending = true;
+
+    function render() {
+        const column = columns.find(column => column.id === sortColumn);
+        const sorted = Array.from(plans.values()).sort((a, b) => {
+            if (a.error || b.error) { return (a.error ? 1 : 0) - (b.error ? 1 : 0) || a.id.localeCompare(b.id); }
+            const x = column.value(a), y = column.value(b);
+            const order = typeof x === 'number' ? x - y : x.localeCompare(y, undefined, { numeric: true });
+            return ascending ? order : -order;
+        });
+        tbody.replaceChildren(...sorted.map(plan => {
+            const tr = document.createElement('tr');
+            if (plan.error) {
+                tr.className = 'func-planner-batch-invalid';
+                tr.innerHTML = `<td>${escapeHtml(plan.id)}</td><td colspan="${columns.length - 1}">${escapeHtml(plan.error)}</td>`;
+            } else {
+                tr.innerHTML = columns.map(column => `<td>${escapeHtml(column.value(plan).toString())}</td>`).join('');
+                tr.classList.toggle('value-error', plan.errors > 0);
+                tr.title = 'Click to view the plan';
+                tr.addEventListener('click', () => { viewPlan(plan.id, plan.data, { ...options, title: plan.id }); });
+            }
+            return tr;
+        }));
+        for (const th of rootElem.querySelectorAll('th')) {
+            th.classList.toggle('sorted-ascending', th.dataset.column === sortColumn && ascending);
+            th.classList.toggle('sorted-descending', th.dataset.column === sortColumn && !ascending);
+        }
+    }
+
+    async function addFiles(files) {
+        files = files.filter(file => file.name.toLowerCase().endsWith('.json'));
+        for (const plan of await Promise.all(files.map(file => checkPlan(file, options)))) {
+            plans.set(plan.id, plan);
+        }
+        render();
+    }
+
+    rootElem.querySelector('thead').addEventListener('click', (e) => {
+        const column = e.target.closest('th')?.dataset.column;
+        if (!column) { return; }
+        ascending = column === sortColumn ? !ascending : true;
+        sortColumn = column;
+        render();
+    });
+    for (const input of rootElem.querySelectorAll('input[type="file"]')) {
+        input.addEventListener('change', () => { addFiles(Array.from(input.files)); input.value = ''; });
+    }
+    rootElem.addEventListener('dragover', (e) => { e.preventDefault(); rootElem.classList.add('func-planner-drag-over'); });
+    rootElem.addEventListener('dragleave', () => { rootElem.classList.remove('func-planner-drag-over'); });
+    rootElem.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        rootElem.classList.remove('func-planner-drag-over');
+        // the entries must be gotten before anything is awaited
+        const entries = Array.from(e.dataTransfer.items || []).map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+        const files = entries.length > 0 ? (await Promise.all(entries.map(entryFiles))).flat() : Array.from(e.dataTransfer.files);
+        addFiles(files);
+    });
+    render();
+}
+
+/**
+ * Gets all of the files in a dropped file or folder.
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<File[]>}
+ */
+function entryFiles(entry) {
+    if (entry.isFile) { return new Promise((resolve, reject) => { entry.file(file => resolve([file]), reject); }); }
+    if (!entry.isDirectory) { return Promise.resolve([]); }
+    const reader = entry.createReader();
+    const entries = [];
+    return new Promise((resolve, reject) => {
+        // readEntries() only gives some of the entries each time it is called
+        function readMore() {
+            reader.readEntries((batch) => {
+                if (batch.length > 0) { entries.push(...batch); readMore(); }
+                else { Promise.all(entries.map(entryFiles)).then(files => resolve(files.flat()), reject); }
+            }, reject);
+        }
+        readMore();
+    });
+}
+
+/**
+ * Loads a plan from a file and checks it for problems without showing it.
+ * @param {File} file
+ * @param {object} options
+ * @returns {Promise<object>} the plan's id, data, authors, error and warning
+ *  counts, function counts, and score, or its id and error if it can't be loaded
+ */
+async function checkPlan(file, options) {
+    const id = file.name.replace(PLAN_FILE_SUFFIX, '');
+    let data;
+    try { data = readPlan(JSON.parse(await file.text())); }
+    catch (e) { return { id, error: e instanceof SyntaxError ? 'Invalid JSON' : e.errors?.join('; ') ?? e.message }; }
+
+    const model = new Model(id, data, { persist: false });
+    await model.whenSynced;
+    updateAllProblems(model, options);
+    const problems = collectProblems(model);
+    return {
+        id, data,
+        authors: model.modelData.get('authors')?.toJSON() || [],
+        errors: problems.filter(p => p.severity === 'error').length,
+        warnings: problems.filter(p => p.severity === 'warning').length,
+        counts: countFunctions(model),
+        score: options.rubric ? gradePlan(model, options.rubric).score : null,
+    };
+}
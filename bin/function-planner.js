@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Command line interface for checking plans saved with "Save as JSON" and
+ * generating Python code from them without a browser, e.g. for autograders.
+ *
+ * Usage:
+ *   function-planner check <plan.json> [--config <assignment>] [--json]
+ *   function-planner export-python <plan.json> [--config <assignment>] [--no-types] [--output <file.py>]
+ *   function-planner export-tests <plan.json> [--output <file.py>]
+ *
+ * The config is the name of an assignment in public/assignments/ (e.g. ipo)
+ * or the path to an assignment file (see src/assignment.js) so the plan is
+ * checked with the same options as in the browser. The check command prints the problems and exits with
+ * 1 if there are any errors. Problems with the command itself exit with 2.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { Model } from '../src/model.js';
+import { updateAllProblems } from '../src/problem-checker.js';
+import { collectProblems } from '../src/grading.js';
+import { generatePythonTemplate, generatePythonTests } from '../src/python-export.js';
+import { ASSIGNMENT_FORMATS, parseAssignment, validateAssignment } from '../src/assignment.js';
+import { readPlan, PlanError } from '../src/plan-schema.js';
+
+const ASSIGNMENTS_DIR = fileURLToPath(new URL('../public/assignments/', import.meta.url));
+
+const USAGE = `Usage:
+  function-planner check <plan.json> [--config <assignment>] [--json]
+  function-planner export-python <plan.json> [--config <assignment>] [--no-types] [--output <file.py>]
+  function-planner export-tests <plan.json> [--output <file.py>]`;
+
+class UsageError extends Error {}
+
+async function readText(path, what) {
+    try { return await readFile(path, 'utf8'); }
+    catch (e) { throw new UsageError(`Cannot read ${what} ${path}: ${e.message}`); }
+}
+
+async function readJSON(path, what) {
+    const text = await readText(path, what);
+    try { return JSON.parse(text); }
+    catch (e) { throw new UsageError(`Invalid JSON in ${what} ${path}: ${e.message}`); }
+}
+
+/**
+ * Reads the options to check the plan with from an assignment.
+ * @param {string} config an assignment name or the path to an assignment file
+ * @returns {Promise<object>} the options
+ */
+async function readConfig(config) {
+    let path = config;
+    if (/^[\w-]+$/.test(config)) {
+        path = ASSIGNMENT_FORMATS.map(format => `${ASSIGNMENTS_DIR}${config}.${format}`).find(existsSync);
+        if (!path) { throw new UsageError(`Unknown assignment ${config}, expected a file in ${ASSIGNMENTS_DIR}`); }
+    }
+    let assignment;
+    try { assignment = await parseAssignment(await readText(path, 'config'), path); }
+    catch (e) { throw e instanceof UsageError ? e : new UsageError(`Invalid config ${path}: ${e.message}`); }
+    const errors = validateAssignment(assignment);
+    if (errors.length > 0) { throw new UsageError(`Invalid config ${path}:\n${errors.join('\n')}`); }
+    return assignment;
+}
+
+/**
+ * Loads a plan into a model that is only kept in memory.
+ * @param {string} path the plan file, the plan id is its name without "-plan.json"
+ * @returns {Promise<Model>}
+ */
+async function loadPlan(path) {
+    let data = await readJSON(path, 'plan');
+    try { data = readPlan(data); }
+    catch (e) { throw e instanceof PlanError ? new UsageError(`Invalid plan ${path}:\n${e.errors.join('\n')}`) : e; }
+    const model = new Model(basename(path).replace(/(-plan)?\.json$/i, ''), data, { persist: false });
+    await model.whenSynced;
+    return model;
+}
+
+async function output(text, path) {
+    if (path) { await writeFile(path, text); }
+    else { process.stdout.write(text); }
+}
+
+function formatProblem({ severity, message, func, call }) {
+    const where = call || (func ? `${func}()` : null);
+    return `${severity}: ${where ? `${where}: ` : ''}${message}`;
+}
+
+async function check(model, options, values) {
+    updateAllProblems(model, options);
+    const problems = collectProblems(model);
+    const errors = problems.filter(p => p.severity === 'error').length;
+    if (values.json) {
+        await output(JSON.stringify({ plan: model.id, errors, warnings: problems.length - errors, problems }, null, 2) + '\n');
+    } else {
+        const lines = problems.map(formatProblem);
+        lines.push(`${model.id}: ${errors} error(s), ${problems.length - errors} warning(s)`);
+        await output(lines.join('\n') + '\n');
+    }
+    return errors > 0 ? 1 : 0;
+}
+
+const COMMANDS = {
+    'check': check,
+    'export-python': async (model, options, values) => { await output(generatePythonTemplate(model, options, null, !values['no-types']), values.output); return 0; },
+    'export-tests': async (model, options, values) => { await output(generatePythonTests(model), values.output); return 0; },
+};
+
+async function main(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            config: { type: 'string', short: 'c' },
+            output: { type: 'string', short: 'o' },
+            json: { type: 'boolean', default: false },
+            'no-types': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+    if (values.help) { console.log(USAGE); return 0; }
+    const [command, planPath] = positionals;
+    if (!COMMANDS[command] || !planPath || positionals.length > 2) { throw new UsageError(USAGE); }
+
+    const options = values.config ? await readConfig(values.config) : {};
+    const model = await loadPlan(planPath);
+    return await COMMANDS[command](model, options, values);
+}
+
+main(process.argv.slice(2)).then((code) => { process.exitCode = code; }, (e) => {
+    console.error(e instanceof UsageError || e.code?.startsWith('ERR_PARSE_ARGS') ? e.message : e);
+    process.exitCode = 2;
+});
@@ -0,0 +1,78 @@
+/**
+ * This file contains the code for the plan diff page. It shows the changes
+ * between two plans saved with "Save as JSON", e.g. a student's draft and
+ * their final submission (see src/diff-view.js).
+ */
+
+import { showDiff } from './src/diff-view.js';
+import { readPlan } from './src/plan-schema.js';
+import { escapeHtml } from './src/utils.js';
+import { plannerOptions } from './function-planner.js';
+
+import './function-planner.css';
+
+const SIDES = [['before', 'Before (older plan)'], ['after', 'After (newer plan)']];
+
+/**
+ * Initialize the plan diff page in the given root element.
+ * @param {HTMLElement|string} rootElem
+ * @param {object} options - The planner options (see init() in function-planner.js)
+ *  used when showing the plans
+ */
+export default function initDiff(rootElem, options={}) {
+    rootElem = typeof rootElem === 'string' ? document.getElementById(rootElem) : rootElem;
+    options = plannerOptions(options);
+
+    rootElem.classList.add('func-planner-compare');
+    rootElem.classList.toggle('dark-mode', options.theme === 'dark');
+    rootElem.innerHTML = `<h1>${escapeHtml(options.title || 'Compare Plans')}</h1>
+<p>Drop two plan JSON files here (the older one first) or choose them below.</p>
+<table><tbody>${SIDES.map(([side, label]) =>
+    `<tr data-side="${side}"><th>${label}</th><td><label>choose a file<input type="file" accept=".json,application/json"></label></td></tr>`
+).join('')}</tbody></table>
+<p><button type="button" disabled>Compare</button></p>`;
+    const button = rootElem.querySelector('button');
+
+    const plans = {};
+    async function setPlan(side, file) {
+        const td = rootElem.querySelector(`tr[data-side="${side}"] td`);
+        delete plans[side];
+        try {
+            const data = readPlan(JSON.parse(await file.text()));
+            plans[side] = { name: file.name.replace(/(-plan)?\.json$/i, ''), data };
+            td.firstChild.nodeValue = `${file.name} `;
+            td.classList.remove('value-error');
+        } catch (e) {
+            td.firstChild.nodeValue = `${file.name}: ${e instanceof SyntaxError ? 'Invalid JSON' : e.errors?.join('; ') ?? e.message} `;
+            td.classList.add('value-error');
+        }
+        button.disabled = !plans.before || !plans.after;
+    }
+    function compare() {
+        const { before, after } = plans;
+        showDiff(before.data, after.data, { ...options, title: `${before.name} → ${after.name}` });
+    }
+
+    for (const td of rootElem.querySelectorAll('td')) { td.prepend(document.createTextNode('')); }
+    for (const input of rootElem.querySelectorAll('input[type="file"]')) {
+        input.addEventListener('change', async () => {
+            await setPlan(input.closest('tr').dataset.side, input.files[0]);
+            input.value = '';
+        });
+    }
+    button.addEventListener('click', compare);
+    rootElem.addEventListener('dragover', (e) => { e.preventDefault(); rootElem.classList.add('func-planner-drag-over'); });
+    rootElem.addEventListener('dragleave', () => { rootElem.classList.remove('func-planner-drag-over'); });
+    rootElem.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        rootElem.classList.remove('func-planner-drag-over');
+        const files = Array.from(e.dataTransfer.files).filter(file => file.name.toLowerCase().endsWith('.json'));
+        if (files.length >= 2) {
+            files.sort((a, b) => a.lastModified - b.lastModified); // the older one is the before plan
+            await Promise.all([setPlan('before', files[0]), setPlan('after', files[1])]);
+            if (!button.disabled) { compare(); }
+        } else if (files.length === 1) {
+            await setPlan(plans.before ? 'after' : 'before', files[0]);
+        }
+    });
+}
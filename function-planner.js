@@ -9,7 +9,7 @@
 
 import go from 'gojs';
 
-import { makeAllButtons } from './src/buttons.js';
+import { makeAllButtons, USER_NAME_KEY, SERVER_TOKEN_KEY } from './src/buttons.js';
 import { Model } from './src/model.js';
 import { setupDiagram } from './src/diagram.js';
 import { setupDragAndDrop } from './src/save-load.js';
@@ -17,6 +17,11 @@ import { setupProblemChecking } from './src/problem-checker.js';
 import { setupInspector } from './src/inspector.js';
 import { makeFunctionInspector } from './src/function-inspector.js';
 import { makeModuleInspector } from './src/module-inspector.js';
+import { loadAssignment } from './src/assignment.js';
+import { setupActivityLog } from './src/activity-log.js';
+import { trackPlan } from './src/plan-store.js';
+import { showSharedPlan } from './src/share-link.js';
+import { makeController } from './src/controller.js';
 
 import './function-planner.css';
 
@@ -35,7 +40,13 @@ const DEFAULT_ALLOWED_TYPES = ['int', 'float', 'str', 'bool', 'list', 'tuple', '
  * @param {object} options.initialModel - Initial model to load if no saved model exists, defaults to a basic plan with a single "main" function
  * @param {string[]} options.allowedTypes - List of allowed types for function parameters and returns
  * @param {number} options.minFunctions - Minimum number of functions required (for validation), defaults to 1
+ * @param {number} options.maxFunctions - Maximum number of functions allowed (adding more is blocked unless in admin mode), optional
  * @param {number} options.minTestable - Minimum number of testable functions required (for validation), defaults to 0
+ * @param {number} options.maxTestable - Maximum number of testable functions allowed (for validation), optional
+ * @param {number} options.minInputFunctions - Minimum number of functions with user input (validated or not) required (for validation), defaults to 0
+ * @param {number} options.maxInputFunctions - Maximum number of functions with user input (validated or not) allowed (for validation), optional
+ * @param {number} options.minOutputFunctions - Minimum number of output only functions required (for validation), defaults to 0
+ * @param {number} options.maxOutputFunctions - Maximum number of output only functions allowed (for validation), optional
  * @param {number} options.minModuleDescLength - Minimum length of module description (for validation), defaults to 25
  * @param {number} options.minFuncDescLength - Minimum length of function description (for validation), defaults to 20
  * @param {number} options.minParamDescLength - Minimum length of parameter description (for validation), defaults to 12
@@ -43,7 +54,18 @@ const DEFAULT_ALLOWED_TYPES = ['int', 'float', 'str', 'bool', 'list', 'tuple', '
  * @param {string} options.docStyle - Docstring style to use (numpy, google, sphinx, epydoc), defaults to "numpy"
  * @param {boolean} options.canClaimFuncs - If true, functions can be "claimed" by one author, colorizing/exporting them separately
  * @param {boolean} options.adminMode - If true, enables admin mode features (nothing is read-only or not shown, allows editing read-only properties)
+ * @param {boolean} options.readOnly - If true, the whole plan is shown read-only (even in admin mode)
  * @param {boolean} options.callGraphOnly - If true, hides the module and function inspectors, only shows the call graph (and suppresses most problem checking)
+ * @param {object|boolean} options.rubric - If given, shows a "Grade" button in admin mode that scores the plan based on its problems, true for the default rubric (see src/grading.js)
+ * @param {object} options.collaboration - If given, shares the plan live with everyone in the same room through a y-websocket server (see server/collab-server.js)
+ * @param {string} options.collaboration.url - Websocket URL of the server, e.g. "ws://localhost:1234"
+ * @param {string} options.collaboration.room - Room to join, defaults to the planId
+ * @param {string} options.collaboration.name - Name shown to the other collaborators, defaults to the last name used
+ * @param {object} options.server - If given, also saves the plan to a plan server so it can be opened on other computers (see server/plan-server.js)
+ * @param {string} options.server.url - URL of the server, e.g. "http://localhost:1235"
+ * @param {string} options.server.token - The user's token, defaults to the last token entered
+ * @param {string} options.deadline - When submissions to the plan server close (an ISO date and time), optional
+ * @returns {object} controller for reading and changing the plan from the page, and for removing the planner (see src/controller.js)
  */
 export default function init(
     rootElem,
@@ -51,18 +73,76 @@ export default function init(
     options={},
 ) {
     rootElem = typeof rootElem === 'string' ? document.getElementById(rootElem) : rootElem;
-    rootElem.classList.add("func-planner");
+    options = plannerOptions(options);
+    // a different plan can be opened from the URL, e.g. one branched from a snapshot (see src/history-panel.js)
+    planId = new URLSearchParams(window.location.search).get('plan') || planId;
+    const model = new Model(planId, options.initialModel, { collaboration: options.collaboration, server: options.server, readOnly: options.readOnly });
+    setupActivityLog(model);
+    // the plan is listed on the "My Plans" page (plans.html) with a link back to this page
+    const url = new URL(window.location.href);
+    url.searchParams.set('plan', planId);
+    url.hash = ''; // not a share link
+    trackPlan(model, { title: options.title || document.title, url: url.href });
+    const diagram = setupPlanner(rootElem, model, options);
+    // a plan shared by someone else is shown over this plan (see src/share-link.js)
+    showSharedPlan(planId, options);
+    return makeController(rootElem, model, diagram, options);
+}
+
+/**
+ * Initialize the Function Planner for an assignment (see src/assignment.js).
+ * @param {HTMLElement|string} rootElem
+ * @param {string} name - The name of the assignment file in public/assignments/ (without the extension)
+ * @param {object} options - Options that override those of the assignment
+ * @returns {Promise<object>} the assignment once the planner is initialized,
+ *  with the planner's controller (see init()) as its planner property
+ * @throws {Error} if the assignment cannot be loaded or is invalid
+ */
+export async function initAssignment(rootElem, name, options={}) {
+    const { planId, name: assignmentName, ...assignmentOptions } = await loadAssignment(name);
+    if (assignmentName) { document.title = assignmentName; }
+    const planner = init(rootElem, planId, { ...assignmentOptions, ...options });
+    return { planId, name: assignmentName, ...assignmentOptions, planner };
+}
 
+/**
+ * Fill in the defaults for the options given to init().
+ * @param {object} options - the options given to init()
+ * @returns {object} a copy of the options with the defaults filled in
+ */
+export function plannerOptions(options={}) {
     options = { ...options };
     options.title = options.title || null;
     options.initialModel = options.initialModel ?? BASIC_MODEL;
     options.allowedTypes = options.allowedTypes ?? DEFAULT_ALLOWED_TYPES;
     options.adminMode = options.adminMode ?? false;
+    options.readOnly = options.readOnly ?? false;
     options.callGraphOnly = options.callGraphOnly ?? false;
     options.canClaimFuncs = options.canClaimFuncs ?? false;
+    options.collaboration = options.collaboration ? {
+        ...options.collaboration,
+        name: options.collaboration.name || localStorage.getItem(USER_NAME_KEY) || 'Anonymous',
+    } : null;
+    options.server = options.server ? {
+        ...options.server,
+        token: options.server.token || localStorage.getItem(SERVER_TOKEN_KEY) || '',
+    } : null;
     options.theme = localStorage.getItem('func-planner-theme') === 'dark' ? 'dark' : 'light';
+    return options;
+}
+
+/**
+ * Set up the diagram, buttons, and inspectors of the Function Planner for an
+ * existing model. This is used by init() and by pages that show other plans
+ * (like the batch grading page).
+ * @param {HTMLElement} rootElem
+ * @param {Model} model
+ * @param {object} options - the options from plannerOptions()
+ * @returns {go.Diagram} the diagram
+ */
+export function setupPlanner(rootElem, model, options) {
+    rootElem.classList.add("func-planner");
 
-    const model = new Model(planId, options.initialModel);
     const diagram = setupDiagram(rootElem, model, options);
     makeAllButtons(diagram, model, options);
     setupDragAndDrop(model, options, diagram.div); // TODO: only if not connected to shared Yjs model
@@ -90,4 +170,5 @@ export default function init(
             }
         });
     }
+    return diagram;
 }
@@ -0,0 +1,126 @@
+/**
+ * This file contains the code for the "My Plans" page. It lists all of the
+ * plans saved in this browser (each lab page saves its plan separately) so
+ * they can be opened, previewed, duplicated, renamed, exported, or deleted
+ * (see src/plan-store.js).
+ */
+
+import Swal from 'sweetalert2';
+
+import { listPlans, loadPlan, copyPlan, renamePlan, deletePlan } from './src/plan-store.js';
+import { viewPlan } from './src/plan-viewer.js';
+import { escapeHtml, dataURL } from './src/utils.js';
+import { plannerOptions } from './function-planner.js';
+
+import './function-planner.css';
+
+const DEFAULT_PAGE = 'function-planner.html'; // for plans that don't know which page they were opened on
+
+function formatDate(date) {
+    return date ? new Date(date).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+}
+
+/**
+ * Asks for a new plan id.
+ * @param {string} title
+ * @param {string} value the initial id
+ * @param {string[]} ids the existing plan ids
+ * @param {object} options
+ * @returns {Promise<string|null>} the new id or null if cancelled
+ */
+async function askPlanId(title, value, ids, options) {
+    const result = await Swal.fire({
+        theme: options.theme,
+        title,
+        input: "text",
+        inputLabel: "Plan id",
+        inputValue: value,
+        showCancelButton: true,
+        showCloseButton: true,
+        inputValidator: (id) => {
+            if (!id.trim()) { return "The plan id is required."; }
+            if (ids.includes(id.trim())) { return "There is already a plan with that id."; }
+            return null;
+        },
+    });
+    return result.isConfirmed ? result.value.trim() : null;
+}
+
+/**
+ * Initialize the "My Plans" page in the given root element.
+ * @param {HTMLElement|string} rootElem
+ * @param {object} options - The planner options (see init() in function-planner.js)
+ *  used when previewing plans
+ */
+export default function initPlans(rootElem, options={}) {
+    rootElem = typeof rootElem === 'string' ? document.getElementById(rootElem) : rootElem;
+    options = plannerOptions(options);
+
+    rootElem.classList.add('func-planner-plans');
+    rootElem.classList.toggle('dark-mode', options.theme === 'dark');
+    rootElem.innerHTML = `<h1>${escapeHtml(options.title || 'My Plans')}</h1>
+<p>These are the plans saved in this browser. Plans are only saved on this computer, so export any you want to keep elsewhere.</p>
+<table><thead><tr><th>Plan</th><th>Modified</th><th>Functions</th><th>Errors</th><th>Warnings</th><th></th></tr></thead><tbody></tbody></table>`;
+    const tbody = rootElem.querySelector('tbody');
+
+    function showError(e) {
+        console.error(e);
+        Swal.fire({ theme: options.theme, title: "Error", text: e.message, icon: "error", showCloseButton: true });
+    }
+
+    let plans = [];
+    async function update() {
+        plans = await listPlans();
+        tbody.innerHTML = plans.length === 0 ? '<tr><td colspan="6">No plans have been saved in this browser yet.</td></tr>' : plans.map(plan =>
+            `<tr data-id="${escapeHtml(plan.id)}"${plan.errors ? ' class="value-error"' : ''}>
+<td><strong>${escapeHtml(plan.id)}</strong>${plan.title ? `<br><span>${escapeHtml(plan.title)}</span>` : ''}</td>
+<td>${formatDate(plan.modified)}</td><td>${plan.functions}</td><td>${plan.errors ?? '—'}</td><td>${plan.warnings ?? '—'}</td>
+<td><button data-action="open">Open</button><button data-action="preview">Preview</button><button data-action="duplicate">Duplicate</button>` +
+`<button data-action="rename">Rename</button><button data-action="export">Export</button><button data-action="delete">Delete</button></td></tr>`
+        ).join('');
+    }
+
+    tbody.addEventListener('click', async (e) => {
+        const button = e.target.closest('button');
+        const plan = plans.find(plan => plan.id === e.target.closest('tr')?.dataset.id);
+        if (!button || !plan) { return; }
+        const ids = plans.map(plan => plan.id);
+        try {
+            switch (button.dataset.action) {
+            case 'open':
+                window.open(plan.url ?? `${DEFAULT_PAGE}?plan=${encodeURIComponent(plan.id)}`, '_blank');
+                break;
+            case 'preview':
+                viewPlan(plan.id, await loadPlan(plan.id), { ...options, title: plan.title ? `${plan.id} (${plan.title})` : plan.id });
+                break;
+            case 'duplicate': {
+                // a duplicate is a new variant of the plan so it starts with a new history
+                const newId = await askPlanId("Duplicate Plan", `${plan.id}-copy`, ids, options);
+                if (newId) { await copyPlan(plan.id, newId); await update(); }
+                break;
+            }
+            case 'rename': {
+                const newId = await askPlanId("Rename Plan", plan.id, ids, options);
+                if (newId) { await renamePlan(plan.id, newId); await update(); }
+                break;
+            }
+            case 'export': {
+                const link = document.createElement('a');
+                link.href = dataURL(JSON.stringify(await loadPlan(plan.id), null, 2), 'application/json');
+                link.download = `${plan.id}-plan.json`;
+                link.click();
+                break;
+            }
+            case 'delete':
+                if (button.textContent !== 'Confirm Delete') {
+                    button.textContent = 'Confirm Delete'; // deleting cannot be undone, so it takes a second click
+                } else {
+                    await deletePlan(plan.id);
+                    await update();
+                }
+                break;
+            }
+        } catch (e) { showError(e); }
+    });
+    update().catch(showError);
+}
@@ -0,0 +1,51 @@
+/**
+ * This file contains the code for the replay page. It plays back how a plan
+ * was built from a recording downloaded from the "Replay" view of the planner
+ * (see src/replay-view.js), e.g. to understand a student's design process.
+ */
+
+import { showReplay, replayFromJSON } from './src/replay-view.js';
+import { escapeHtml } from './src/utils.js';
+import { plannerOptions } from './function-planner.js';
+
+import './function-planner.css';
+
+/**
+ * Initialize the replay page in the given root element.
+ * @param {HTMLElement|string} rootElem
+ * @param {object} options - The planner options (see init() in function-planner.js)
+ *  used when showing the plan
+ */
+export default function initReplay(rootElem, options={}) {
+    rootElem = typeof rootElem === 'string' ? document.getElementById(rootElem) : rootElem;
+    options = plannerOptions(options);
+
+    rootElem.classList.add('func-planner-compare');
+    rootElem.classList.toggle('dark-mode', options.theme === 'dark');
+    rootElem.innerHTML = `<h1>${escapeHtml(options.title || 'Replay a Plan')}</h1>
+<p>Drop a replay file (<code>&lt;id&gt;-replay.json</code>) here or
+<label>choose a file<input type="file" accept=".json,application/json"></label>.</p>
+<p class="value-error"></p>`;
+    const error = rootElem.querySelector('.value-error');
+
+    async function open(file) {
+        try {
+            const { planId, steps } = replayFromJSON(await file.text());
+            error.textContent = '';
+            showReplay(planId, steps, { ...options, title: planId });
+        } catch (e) {
+            error.textContent = `${file.name}: ${e instanceof SyntaxError ? 'Invalid JSON' : e.message}`;
+        }
+    }
+
+    const input = rootElem.querySelector('input[type="file"]');
+    input.addEventListener('change', () => { open(input.files[0]); input.value = ''; });
+    rootElem.addEventListener('dragover', (e) => { e.preventDefault(); rootElem.classList.add('func-planner-drag-over'); });
+    rootElem.addEventListener('dragleave', () => { rootElem.classList.remove('func-planner-drag-over'); });
+    rootElem.addEventListener('drop', (e) => {
+        e.preventDefault();
+        rootElem.classList.remove('func-planner-drag-over');
+        const file = Array.from(e.dataTransfer.files).find(file => file.name.toLowerCase().endsWith('.json'));
+        if (file) { open(file); }
+    });
+}
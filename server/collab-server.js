@@ -0,0 +1,147 @@
+/**
+ * A small y-websocket relay server for testing real-time collaboration
+ * locally. Each room keeps an in-memory Y.Doc so that clients joining later
+ * receive the current state. Nothing is persisted: once the last client of a
+ * room disconnects the room is discarded (the clients still have their own
+ * IndexedDB copies and will re-sync when they reconnect).
+ *
+ * Usage:
+ *   npm run collab-server [-- port]
+ *   node server/collab-server.js [port]
+ * The port defaults to $PORT or 1234. Then pass
+ *   collaboration: { url: 'ws://localhost:1234' }
+ * to init() in the planner page.
+ */
+
+import http from 'http';
+import { WebSocketServer, WebSocket } from 'ws';
+import * as Y from 'yjs';
+import * as syncProtocol from 'y-protocols/sync';
+import * as awarenessProtocol from 'y-protocols/awareness';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+const PING_INTERVAL = 30000;
+
+const rooms = new Map();
+
+function getRoom(name) {
+    if (rooms.has(name)) { return rooms.get(name); }
+    const doc = new Y.Doc();
+    const awareness = new awarenessProtocol.Awareness(doc);
+    awareness.setLocalState(null); // the server itself is not a collaborator
+    // map of connection to the set of awareness client ids it controls
+    const room = { name, doc, awareness, conns: new Map() };
+
+    doc.on('update', (update) => {
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, MESSAGE_SYNC);
+        syncProtocol.writeUpdate(encoder, update);
+        broadcast(room, encoding.toUint8Array(encoder));
+    });
+    awareness.on('update', ({ added, updated, removed }, conn) => {
+        if (conn !== null && room.conns.has(conn)) {
+            const ids = room.conns.get(conn);
+            for (const id of added) { ids.add(id); }
+            for (const id of removed) { ids.delete(id); }
+        }
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+        encoding.writeVarUint8Array(encoder,
+            awarenessProtocol.encodeAwarenessUpdate(awareness, added.concat(updated, removed)));
+        broadcast(room, encoding.toUint8Array(encoder));
+    });
+
+    rooms.set(name, room);
+    console.log(`Room "${name}" opened`);
+    return room;
+}
+
+function broadcast(room, message) {
+    for (const conn of room.conns.keys()) { send(room, conn, message); }
+}
+
+function send(room, conn, message) {
+    if (conn.readyState !== WebSocket.CONNECTING && conn.readyState !== WebSocket.OPEN) {
+        closeConn(room, conn);
+        return;
+    }
+    conn.send(message, (err) => { if (err) { closeConn(room, conn); } });
+}
+
+function closeConn(room, conn) {
+    if (room.conns.has(conn)) {
+        const ids = room.conns.get(conn);
+        room.conns.delete(conn);
+        awarenessProtocol.removeAwarenessStates(room.awareness, Array.from(ids), null);
+        if (room.conns.size === 0) {
+            room.doc.destroy();
+            rooms.delete(room.name);
+            console.log(`Room "${room.name}" closed`);
+        }
+    }
+    conn.close();
+}
+
+function handleMessage(room, conn, message) {
+    try {
+        const encoder = encoding.createEncoder();
+        const decoder = decoding.createDecoder(message);
+        const type = decoding.readVarUint(decoder);
+        if (type === MESSAGE_SYNC) {
+            encoding.writeVarUint(encoder, MESSAGE_SYNC);
+            syncProtocol.readSyncMessage(decoder, encoder, room.doc, conn);
+            // only reply if the sync message produced a response (i.e. sync step 2)
+            if (encoding.length(encoder) > 1) { send(room, conn, encoding.toUint8Array(encoder)); }
+        } else if (type === MESSAGE_AWARENESS) {
+            awarenessProtocol.applyAwarenessUpdate(room.awareness, decoding.readVarUint8Array(decoder), conn);
+        }
+    } catch (err) {
+        console.error(`Error handling message in room "${room.name}":`, err);
+    }
+}
+
+function onConnection(conn, req) {
+    conn.binaryType = 'arraybuffer';
+    const name = decodeURIComponent((req.url || '/').slice(1).split('?')[0]) || 'default';
+    const room = getRoom(name);
+    room.conns.set(conn, new Set());
+    conn.on('message', (data) => { handleMessage(room, conn, new Uint8Array(data)); });
+
+    // detect broken connections
+    let alive = true;
+    conn.on('pong', () => { alive = true; });
+    const pingInterval = setInterval(() => {
+        if (!alive) { closeConn(room, conn); clearInterval(pingInterval); return; }
+        alive = false;
+        try { conn.ping(); } catch (err) { closeConn(room, conn); clearInterval(pingInterval); }
+    }, PING_INTERVAL);
+    conn.on('close', () => { closeConn(room, conn); clearInterval(pingInterval); });
+
+    // start the sync by sending sync step 1 and the current awareness states
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeSyncStep1(encoder, room.doc);
+    send(room, conn, encoding.toUint8Array(encoder));
+    const states = room.awareness.getStates();
+    if (states.size > 0) {
+        const awarenessEncoder = encoding.createEncoder();
+        encoding.writeVarUint(awarenessEncoder, MESSAGE_AWARENESS);
+        encoding.writeVarUint8Array(awarenessEncoder,
+            awarenessProtocol.encodeAwarenessUpdate(room.awareness, Array.from(states.keys())));
+        send(room, conn, encoding.toUint8Array(awarenessEncoder));
+    }
+}
+
+const port = parseInt(process.argv[2] || process.env.PORT || '1234');
+const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Function planner collaboration server\n');
+});
+const wss = new WebSocketServer({ server });
+wss.on('connection', onConnection);
+server.listen(port, () => {
+    console.log(`Collaboration server listening on ws://localhost:${port}`);
+});
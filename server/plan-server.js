@@ -0,0 +1,331 @@
+/**
+ * A small server for saving plans so that students can load them on any
+ * computer (see the server option of Model). Plans are stored per user as
+ * files of Yjs updates in the data directory, one for each plan id (which is
+ * different for each assignment). Saving a plan merges it with the saved one
+ * so changes made on different computers are combined instead of lost.
+ *
+ * A submitted plan is locked: it cannot be saved or deleted until an
+ * instructor reopens it. Reopening keeps the submission along with a copy of
+ * the submitted plan (in <id>.submission-<time>.json) so it is not lost.
+ * Plans are not accepted for submission after the deadline of their
+ * assignment, which is read from the assignment files (those with a deadline
+ * and the plan's id, see src/assignment.js) whenever a plan is submitted.
+ *
+ * Users are identified by a token given in the Authorization header
+ * ("Bearer <token>"). The tokens are kept in <data>/tokens.json, which maps
+ * each token to a user name (or to {name, instructor: true} for
+ * instructors), and can be created with the add-user command.
+ *
+ * The REST API is:
+ *   GET    /api/plans                        list the user's plans as JSON [{id, size, modified, submitted}]
+ *   GET    /api/plans/<id>                   load a plan (the Yjs update of the whole plan)
+ *   PUT    /api/plans/<id>                   save a plan (a Yjs update), replies with the merged plan
+ *   DELETE /api/plans/<id>                   delete a plan
+ *   GET    /api/plans/<id>/submission        get the submission of a plan as JSON {submitted, ...details}
+ *   POST   /api/plans/<id>/submission        submit a plan with the details given as JSON (e.g. {errors, warnings}),
+ *                                            403 after the assignment's deadline
+ * and for instructors:
+ *   GET    /api/submissions                  list all submissions as JSON [{user, id, submitted, ...details}]
+ *   GET    /api/submissions/<user>/<id>      load a submitted plan
+ *   DELETE /api/submissions/<user>/<id>      reopen a submitted plan so it can be changed and submitted again
+ *
+ * Usage:
+ *   npm run plan-server [-- port]
+ *   node server/plan-server.js [port]
+ *   node server/plan-server.js add-user <name> [--instructor]
+ *   node server/plan-server.js reopen <user> <id>
+ * The port defaults to $PORT or 1235, the data directory to $PLAN_DATA or
+ * server/data, and the assignments directory to $PLAN_ASSIGNMENTS or
+ * public/assignments. Then pass
+ *   server: { url: 'http://localhost:1235' }
+ * to init() in the planner page.
+ */
+
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import * as Y from 'yjs';
+
+import { ASSIGNMENT_FORMATS, parseAssignment } from '../src/assignment.js';
+
+const DATA_DIR = process.env.PLAN_DATA || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+const ASSIGNMENTS_DIR = process.env.PLAN_ASSIGNMENTS || fileURLToPath(new URL('../public/assignments/', import.meta.url));
+const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
+const PLANS_DIR = path.join(DATA_DIR, 'plans');
+const PLAN_EXTENSION = '.yjs';
+const SUBMISSION_EXTENSION = '.submission.json';
+const MAX_BODY_SIZE = 5 * 1024 * 1024; // bytes
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+async function readTokens() {
+    try { return JSON.parse(await fs.readFile(TOKENS_FILE, 'utf8')); }
+    catch (e) { if (e.code === 'ENOENT') { return {}; } throw e; }
+}
+
+async function addUser(name, instructor=false) {
+    if (!name) { throw new Error('Usage: node server/plan-server.js add-user <name> [--instructor]'); }
+    const tokens = await readTokens();
+    const token = crypto.randomBytes(18).toString('base64url');
+    tokens[token] = instructor ? { name, instructor } : name;
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(TOKENS_FILE, JSON.stringify(tokens, null, 2));
+    console.log(`Token for ${name}${instructor ? ' (instructor)' : ''}: ${token}`);
+}
+
+/**
+ * Gets the user of a request from its token, the tokens are re-read so users
+ * can be added while running.
+ * @returns {Promise<{name: string, instructor: boolean}>}
+ */
+async function authenticate(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const user = scheme === 'Bearer' && token ? (await readTokens())[token] : null;
+    if (!user) { throw new HttpError(401, 'Missing or unknown token'); }
+    return typeof user === 'string' ? { name: user, instructor: false } : { instructor: false, ...user };
+}
+
+function planFile(user, id, extension=PLAN_EXTENSION) {
+    if (!user || !id) { throw new HttpError(404, 'Not found'); }
+    return path.join(PLANS_DIR, encodeURIComponent(user), encodeURIComponent(id) + extension);
+}
+
+async function readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) { throw new HttpError(413, 'Plan is too large'); }
+        chunks.push(chunk);
+    }
+    return new Uint8Array(Buffer.concat(chunks));
+}
+
+async function readPlanFile(file) {
+    try { return new Uint8Array(await fs.readFile(file)); }
+    catch (e) { if (e.code === 'ENOENT') { return null; } throw e; }
+}
+
+async function readSubmission(user, id) {
+    try { return JSON.parse(await fs.readFile(planFile(user, id, SUBMISSION_EXTENSION), 'utf8')); }
+    catch (e) { if (e.code === 'ENOENT') { return null; } throw e; }
+}
+
+/**
+ * Finds the deadline for submitting a plan. The assignment files are re-read
+ * so deadlines can be changed while running.
+ * @param {string} id the plan id
+ * @returns {Promise<Date|null>} the deadline or null if there is none
+ */
+async function findDeadline(id) {
+    let names;
+    try { names = await fs.readdir(ASSIGNMENTS_DIR); }
+    catch (e) { if (e.code === 'ENOENT') { return null; } throw e; }
+    for (const name of names) {
+        const [, base, format] = name.match(/^(.*)\.(\w+)$/) || [];
+        if (!ASSIGNMENT_FORMATS.includes(format)) { continue; }
+        let assignment;
+        try { assignment = await parseAssignment(await fs.readFile(path.join(ASSIGNMENTS_DIR, name), 'utf8'), name); }
+        catch (e) { console.error(`Cannot read assignment ${name}:`, e.message); continue; }
+        // the plan id defaults to the assignment name like in loadAssignment()
+        if (assignment?.deadline && (assignment.planId ?? base) === id) { return new Date(assignment.deadline); }
+    }
+    return null;
+}
+
+async function checkNotSubmitted(user, id) {
+    if (await readSubmission(user, id)) { throw new HttpError(423, 'The plan has been submitted'); }
+}
+
+// saves to the same plan are done one at a time so that none of them are lost when merging
+const locks = new Map();
+function withLock(file, func) {
+    const result = (locks.get(file) || Promise.resolve()).then(func, func);
+    const lock = result.catch(() => {});
+    locks.set(file, lock);
+    lock.then(() => { if (locks.get(file) === lock) { locks.delete(file); } });
+    return result;
+}
+
+async function savePlan(user, id, update) {
+    const file = planFile(user, id);
+    return withLock(file, async () => {
+        await checkNotSubmitted(user, id);
+        const saved = await readPlanFile(file);
+        let merged;
+        try {
+            merged = saved ? Y.mergeUpdates([saved, update]) : update;
+            Y.applyUpdate(new Y.Doc(), merged); // make sure it is a valid update
+        } catch (e) { throw new HttpError(400, 'Invalid plan'); }
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file + '.tmp', merged);
+        await fs.rename(file + '.tmp', file); // so a crash never leaves a partly written plan
+        return merged;
+    });
+}
+
+async function submitPlan(user, id, details) {
+    const file = planFile(user, id);
+    return withLock(file, async () => {
+        await checkNotSubmitted(user, id);
+        if (!await readPlanFile(file)) { throw new HttpError(404, 'No saved plan'); }
+        const deadline = await findDeadline(id);
+        if (deadline && Date.now() > deadline) { throw new HttpError(403, `Submissions closed at ${deadline.toISOString()}`); }
+        const submission = { ...details, submitted: new Date().toISOString() };
+        await fs.writeFile(planFile(user, id, SUBMISSION_EXTENSION), JSON.stringify(submission, null, 2));
+        console.log(`Submitted ${user}/${id}`);
+        return submission;
+    });
+}
+
+async function reopenPlan(user, id) {
+    const file = planFile(user, id);
+    return withLock(file, async () => {
+        const submission = await readSubmission(user, id);
+        if (!submission) { throw new HttpError(404, 'The plan has not been submitted'); }
+        // the submitted plan is kept with the old submission since it will be changed
+        const plan = Buffer.from(await readPlanFile(file)).toString('base64');
+        await fs.writeFile(planFile(user, id, `.submission-${Date.now()}.json`), JSON.stringify({ ...submission, plan }, null, 2));
+        await fs.rm(planFile(user, id, SUBMISSION_EXTENSION));
+        console.log(`Reopened ${user}/${id}`);
+    });
+}
+
+async function listUsers() {
+    try { return (await fs.readdir(PLANS_DIR)).map(decodeURIComponent); }
+    catch (e) { if (e.code === 'ENOENT') { return []; } throw e; }
+}
+
+async function listPlans(user) {
+    const dir = path.join(PLANS_DIR, encodeURIComponent(user));
+    let names;
+    try { names = await fs.readdir(dir); }
+    catch (e) { if (e.code === 'ENOENT') { return []; } throw e; }
+    const plans = [];
+    for (const name of names.filter(name => name.endsWith(PLAN_EXTENSION))) {
+        const stats = await fs.stat(path.join(dir, name));
+        const id = decodeURIComponent(name.slice(0, -PLAN_EXTENSION.length));
+        const submission = await readSubmission(user, id);
+        plans.push({ id, size: stats.size, modified: stats.mtime.toISOString(), submitted: submission?.submitted ?? null });
+    }
+    return plans;
+}
+
+async function listSubmissions() {
+    const submissions = [];
+    for (const user of await listUsers()) {
+        for (const { id } of await listPlans(user)) {
+            const submission = await readSubmission(user, id);
+            if (submission) { submissions.push({ user, id, ...submission }); }
+        }
+    }
+    return submissions;
+}
+
+function sendJSON(res, value, status=200) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(value));
+}
+
+function sendPlan(res, plan) {
+    if (!plan) { throw new HttpError(404, 'No saved plan'); }
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+    res.end(plan);
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let parts;
+    try { parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent); }
+    catch (e) { throw new HttpError(400, 'Invalid URL'); }
+    if (parts[0] !== 'api' || !['plans', 'submissions'].includes(parts[1])) { throw new HttpError(404, 'Not found'); }
+    const user = await authenticate(req);
+    // e.g. "GET plans/*/submission" for GET /api/plans/<id>/submission
+    const route = `${req.method} ${parts.slice(1).map((part, i) => i === 0 || (i === 2 && parts[1] === 'plans') ? part : '*').join('/')}`;
+
+    if (parts[1] === 'plans') {
+        const id = parts[2];
+        switch (route) {
+        case 'GET plans':
+            return sendJSON(res, await listPlans(user.name));
+        case 'GET plans/*':
+            return sendPlan(res, await readPlanFile(planFile(user.name, id)));
+        case 'PUT plans/*': {
+            const merged = await savePlan(user.name, id, await readBody(req));
+            console.log(`Saved ${user.name}/${id}`);
+            return sendPlan(res, merged);
+        }
+        case 'DELETE plans/*': {
+            const file = planFile(user.name, id);
+            await withLock(file, async () => {
+                await checkNotSubmitted(user.name, id);
+                await fs.rm(file, { force: true });
+            });
+            res.writeHead(204);
+            return res.end();
+        }
+        case 'GET plans/*/submission': {
+            const submission = await readSubmission(user.name, id);
+            if (!submission) { throw new HttpError(404, 'The plan has not been submitted'); }
+            return sendJSON(res, submission);
+        }
+        case 'POST plans/*/submission': {
+            let details;
+            try { details = JSON.parse(new TextDecoder().decode(await readBody(req)) || '{}'); }
+            catch (e) { throw new HttpError(400, 'Invalid JSON'); }
+            return sendJSON(res, await submitPlan(user.name, id, details), 201);
+        }
+        }
+    } else {
+        if (!user.instructor) { throw new HttpError(403, 'Only instructors can do this'); }
+        const [, , student, id] = parts;
+        switch (route) {
+        case 'GET submissions':
+            return sendJSON(res, await listSubmissions());
+        case 'GET submissions/*/*':
+            if (!await readSubmission(student, id)) { throw new HttpError(404, 'The plan has not been submitted'); }
+            return sendPlan(res, await readPlanFile(planFile(student, id)));
+        case 'DELETE submissions/*/*':
+            await reopenPlan(student, id);
+            res.writeHead(204);
+            return res.end();
+        }
+    }
+    throw new HttpError(404, 'Not found');
+}
+
+function startServer(port) {
+    const server = http.createServer(async (req, res) => {
+        // the planner is usually served from a different origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+        try {
+            await handleRequest(req, res);
+        } catch (e) {
+            if (!(e instanceof HttpError)) { console.error(`Error handling ${req.method} ${req.url}:`, e); }
+            res.writeHead(e.status || 500, { 'Content-Type': 'text/plain' });
+            res.end(`${e instanceof HttpError ? e.message : 'Internal server error'}\n`);
+        }
+    });
+    server.listen(port, () => {
+        console.log(`Plan server listening on http://localhost:${port} (data in ${DATA_DIR})`);
+    });
+}
+
+if (process.argv[2] === 'add-user') {
+    addUser(process.argv[3], process.argv[4] === '--instructor').catch((e) => { console.error(e.message); process.exit(1); });
+} else if (process.argv[2] === 'reopen') {
+    reopenPlan(process.argv[3], process.argv[4]).catch((e) => { console.error(e.message); process.exit(1); });
+} else {
+    startServer(parseInt(process.argv[2] || process.env.PORT || '1235'));
+}
@@ -0,0 +1,198 @@
+/**
+ * Keeps a log of the semantic edits made to a plan (functions added, removed,
+ * or renamed, calls added, removed, or moved, types changed, and problems
+ * resolved) for research on how students plan. The log is kept with the plan
+ * in IndexedDB, is not shared with collaborators (but includes their edits),
+ * and can be exported as JSON or CSV along with summary statistics.
+ *
+ * Each event has the time (an ISO string), the type, and depending on the type:
+ *  - 'add-function', 'remove-function': key, func
+ *  - 'rename': key, func, from, to
+ *  - 'type-change': key, func, field ('params' or 'returns'), from, to (the
+ *    types separated by commas)
+ *  - 'add-call', 'remove-call': call (e.g. "main() → helper()")
+ *  - 'move-call': from, to (the calls before and after)
+ *  - 'problem-resolved': severity, func, call, field, message (see
+ *    collectProblems() in grading.js)
+ *  - 'problems': errors, warnings (whenever the number of problems changes)
+ *
+ * The exported functions are:
+ *  - setupActivityLog(model)
+ *  - getActivityLog(model)
+ *  - summarizeActivity(events)
+ *  - activityToCSV(events)
+ */
+
+import { collectProblems } from './grading.js';
+import { csvValue } from './utils.js';
+
+const ACTIVITY_KEY = 'activity'; // key in the custom store of the IndexedDB database
+const MERGE_TIME = 10000; // ms within which renames and type changes of the same function are merged
+const SAVE_DELAY = 1000; // ms to wait for more events before saving the log
+const PROBLEMS_DELAY = 500; // ms to wait for the problems to settle before checking them
+
+// event types that undo or rework earlier decisions about the structure of the plan
+const RESTRUCTURING_TYPES = ['remove-function', 'remove-call', 'move-call'];
+
+const CSV_COLUMNS = ['time', 'type', 'key', 'func', 'call', 'field', 'from', 'to', 'severity', 'message', 'errors', 'warnings'];
+
+const logs = new WeakMap(); // model -> { events, loaded }
+
+function typesOf(vars) { return (vars || []).map(v => v.type || '').join(', '); }
+function problemId({ severity, key, toKey, field, message }) { return [severity, key, toKey, field, message].join('\n'); }
+
+/**
+ * Starts logging the edits made to a plan. Changes made while the plan is
+ * loading are not logged.
+ * @param {*} model
+ */
+export function setupActivityLog(model) {
+    const events = [];
+    const loaded = model.whenSynced.then(async () => {
+        const stored = model.indexeddb ? await model.indexeddb.get(ACTIVITY_KEY) : null;
+        events.unshift(...(stored || []));
+    });
+    logs.set(model, { events, loaded });
+
+    let saveTimeout = null;
+    function log(type, details, merge=null) {
+        if (!model.synced) { return; }
+        const time = new Date().toISOString();
+        const last = merge ? events.findLast(merge) : null;
+        if (last && Date.parse(time) - Date.parse(last.time) < MERGE_TIME) {
+            Object.assign(last, details, { time, from: last.from });
+            if (last.from === last.to) { events.splice(events.lastIndexOf(last), 1); } // changed back
+        } else {
+            events.push({ time, type, ...details });
+        }
+        if (model.indexeddb) {
+            clearTimeout(saveTimeout);
+            saveTimeout = setTimeout(save, SAVE_DELAY);
+        }
+    }
+    async function save() {
+        saveTimeout = null;
+        await loaded;
+        await model.indexeddb.set(ACTIVITY_KEY, events);
+    }
+
+    // names and types are remembered since they are needed after they change
+    const names = {}, types = {};
+    const nameOf = (key) => names[key] || `function${key}`;
+    const callOf = (from, to) => `${nameOf(from)}() → ${nameOf(to)}()`;
+    function remember(key, data) {
+        names[key] = data.name?.toString().trim() || '';
+        types[key] = { params: typesOf(data.params), returns: typesOf(data.returns) };
+    }
+
+    model.addFuncAddListener((key, data) => {
+        remember(key, data);
+        log('add-function', { key, func: nameOf(key) });
+    });
+    model.addFuncRemoveListener((key) => {
+        log('remove-function', { key, func: nameOf(key) });
+    });
+    model.addFuncListener('name', (key, _, newValue) => {
+        const from = nameOf(key);
+        names[key] = newValue?.toString().trim() || '';
+        log('rename', { key, func: nameOf(key), from, to: nameOf(key) }, (last) => last.type === 'rename' && last.key === key);
+    });
+    for (const field of ['params', 'returns']) {
+        model.addFuncListener(field, (key) => {
+            const from = types[key]?.[field] ?? '';
+            const to = typesOf(model.functions.get(key)?.get(field)?.toJSON());
+            if (from === to) { return; } // only the names or descriptions changed
+            (types[key] ??= {})[field] = to;
+            log('type-change', { key, func: nameOf(key), field, from, to },
+                (last) => last.type === 'type-change' && last.key === key && last.field === field);
+        });
+    }
+    model.addFuncCallListener((action, oldFrom, oldTo, newFrom, newTo) => {
+        if (action === 'add') { log('add-call', { call: callOf(newFrom, newTo) }); }
+        else if (action === 'delete') { log('remove-call', { call: callOf(oldFrom, oldTo) }); }
+        else if (action === 'update') { log('move-call', { from: callOf(oldFrom, oldTo), to: callOf(newFrom ?? oldFrom, newTo ?? oldTo) }); }
+    });
+
+    // the problems are checked once they settle since they are updated piecemeal
+    let problems = null, problemsTimeout = null;
+    async function checkProblems() {
+        if (!model.synced) { return; }
+        await loaded;
+        const current = collectProblems(model);
+        const errors = current.filter(p => p.severity === 'error').length;
+        const ids = new Set(current.map(problemId));
+        for (const problem of problems || []) {
+            if (ids.has(problemId(problem))) { continue; }
+            // problems of removed functions and calls are not resolved
+            if (problem.key !== null && !model.functions.has(problem.key)) { continue; }
+            if (problem.toKey !== null && !(model.calledFunctions[problem.key] || []).includes(problem.toKey)) { continue; }
+            const { severity, func, call, field, message } = problem;
+            log('problem-resolved', { severity, func, call, field, message });
+        }
+        const last = events.findLast(event => event.type === 'problems');
+        if (!last || last.errors !== errors || last.warnings !== current.length - errors) {
+            log('problems', { errors, warnings: current.length - errors });
+        }
+        problems = current;
+    }
+    function problemsChanged() {
+        clearTimeout(problemsTimeout);
+        problemsTimeout = setTimeout(checkProblems, PROBLEMS_DELAY);
+    }
+    model.addFuncListener('problems', problemsChanged);
+    model.addFuncListener('linkProblems', problemsChanged);
+    model.addModelDataListener('problems', problemsChanged);
+    model.addFuncCallListener((action) => { if (action === 'problems') { problemsChanged(); } });
+    model.addListener('synced', problemsChanged);
+    model.addListener('destroy', async () => {
+        clearTimeout(problemsTimeout);
+        if (saveTimeout !== null) { clearTimeout(saveTimeout); await save(); }
+    });
+}
+
+/**
+ * Gets the logged events of a plan, oldest first.
+ * @param {*} model a model given to setupActivityLog()
+ * @returns {Promise<object[]>}
+ */
+export async function getActivityLog(model) {
+    const log = logs.get(model);
+    if (!log) { return []; }
+    await log.loaded;
+    return log.events.map(event => ({ ...event }));
+}
+
+/**
+ * Computes summary statistics of an activity log.
+ * @param {object[]} events
+ * @returns {object} with:
+ *  - start, end: the times of the first and last events (null if none)
+ *  - duration: ms between the first and last events
+ *  - counts: the number of events of each type
+ *  - restructurings: the number of functions removed and calls removed or moved
+ *  - timeToErrorFree: ms from the first event until the plan first had no
+ *    errors, null if it never did
+ */
+export function summarizeActivity(events) {
+    const start = events[0]?.time ?? null, end = events[events.length - 1]?.time ?? null;
+    const counts = {};
+    for (const { type } of events) { counts[type] = (counts[type] || 0) + 1; }
+    const errorFree = events.find(event => event.type === 'problems' && event.errors === 0);
+    return {
+        start, end,
+        duration: start ? Date.parse(end) - Date.parse(start) : 0,
+        counts,
+        restructurings: events.filter(event => RESTRUCTURING_TYPES.includes(event.type)).length,
+        timeToErrorFree: errorFree ? Date.parse(errorFree.time) - Date.parse(start) : null,
+    };
+}
+
+/**
+ * Converts an activity log to CSV with one row per event.
+ * @param {object[]} events
+ * @returns {string} CSV text with a header row
+ */
+export function activityToCSV(events) {
+    const rows = events.map(event => CSV_COLUMNS.map(column => event[column]));
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
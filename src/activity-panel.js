@@ -0,0 +1,65 @@
+/**
+ * The "Activity" panel showing a summary of the activity log of the plan (see
+ * activity-log.js). The log can be downloaded as JSON (with the summary) or
+ * CSV for analysis.
+ *
+ * The exported functions are:
+ *  - showActivity(model, options)
+ */
+
+import Swal from 'sweetalert2';
+
+import { getActivityLog, summarizeActivity, activityToCSV } from './activity-log.js';
+import { dataURL } from './utils.js';
+
+import activityIcon from '../images/activity.svg';
+
+const COUNT_LABELS = {
+    'add-function': 'Functions added',
+    'remove-function': 'Functions removed',
+    'rename': 'Renames',
+    'type-change': 'Type changes',
+    'add-call': 'Calls added',
+    'remove-call': 'Calls removed',
+    'move-call': 'Calls moved',
+    'problem-resolved': 'Problems resolved',
+};
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * Show the activity panel.
+ * @param {*} model
+ * @param {object} options
+ */
+export async function showActivity(model, options={}) {
+    const events = await getActivityLog(model);
+    const summary = summarizeActivity(events);
+    const json = JSON.stringify({ plan: model.id, summary, events }, null, 2);
+    const csv = activityToCSV(events);
+
+    const rows = [
+        ['Started', summary.start ? new Date(summary.start).toLocaleString() : '—'],
+        ['Active over', formatDuration(summary.duration)],
+        ...Object.entries(COUNT_LABELS).map(([type, label]) => [label, summary.counts[type] || 0]),
+        ['Restructurings', summary.restructurings],
+        ['Time until no errors', summary.timeToErrorFree === null ? 'not yet' : formatDuration(summary.timeToErrorFree)],
+    ].map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('');
+    const html = `<div class="func-planner-activity">
+<table>${rows}</table>
+<p>Download the ${events.length} events as <a href="${dataURL(json, 'application/json')}" download="${model.id}-activity.json">JSON</a>
+or <a href="${dataURL(csv, 'text/csv')}" download="${model.id}-activity.csv">CSV</a></p>
+</div>`;
+
+    Swal.fire({
+        theme: options.theme,
+        imageUrl: activityIcon,
+        imageWidth: "6em",
+        title: "Activity",
+        html,
+        showCloseButton: true,
+    });
+}
@@ -0,0 +1,166 @@
+/**
+ * Functions for loading assignment definitions. An assignment is a JSON or
+ * YAML file in public/assignments/ that has the options given to init() (see
+ * function-planner.js) along with:
+ *  - name: the name of the assignment, used as the page title
+ *  - planId: the unique identifier of the plan (where it is saved in the
+ *    browser), defaults to the file name of the assignment
+ * For example, public/assignments/madlibs.json:
+ *     {
+ *         "name": "Mad Libs Function Planner",
+ *         "title": "Mad Libs",
+ *         "minFunctions": 10,
+ *         "minTestable": 2
+ *     }
+ * is opened with planner.html?assignment=madlibs.
+ *
+ * The exported functions are:
+ *  - parseAssignment(text, filename='')
+ *  - validateAssignment(assignment)
+ *  - loadAssignment(name, baseURL='assignments/')
+ *  - makeAssignment(model, settings)
+ *  - assignmentToText(assignment, format='json')
+ */
+
+import { migratePlan, validatePlan, PlanError } from './plan-schema.js';
+
+export const ASSIGNMENT_FORMATS = ['json', 'yaml', 'yml'];
+
+const DOC_STYLES = ['numpy', 'google', 'sphinx', 'epydoc'];
+
+function isObject(value) { return typeof value === 'object' && value !== null && !Array.isArray(value); }
+function isStringArray(value) { return Array.isArray(value) && value.every(item => typeof item === 'string'); }
+function isCount(value) { return Number.isInteger(value) && value >= 0; }
+
+// each option of an assignment and the check for its value (with a description for the error message)
+const OPTION_CHECKS = {
+    name: [(v) => typeof v === 'string', 'a string'],
+    planId: [(v) => typeof v === 'string' && v.length > 0, 'a non-empty string'],
+    title: [(v) => typeof v === 'string' || v === null, 'a string'],
+    initialModel: [isObject, 'an object'],
+    allowedTypes: [isStringArray, 'a list of strings'],
+    minFunctions: [isCount, 'a non-negative integer'],
+    maxFunctions: [isCount, 'a non-negative integer'],
+    minTestable: [isCount, 'a non-negative integer'],
+    maxTestable: [isCount, 'a non-negative integer'],
+    minInputFunctions: [isCount, 'a non-negative integer'],
+    maxInputFunctions: [isCount, 'a non-negative integer'],
+    minOutputFunctions: [isCount, 'a non-negative integer'],
+    maxOutputFunctions: [isCount, 'a non-negative integer'],
+    minModuleDescLength: [isCount, 'a non-negative integer'],
+    minFuncDescLength: [isCount, 'a non-negative integer'],
+    minParamDescLength: [isCount, 'a non-negative integer'],
+    minReturnDescLength: [isCount, 'a non-negative integer'],
+    docStyle: [(v) => DOC_STYLES.includes(v), `one of ${DOC_STYLES.join(', ')}`],
+    canClaimFuncs: [(v) => typeof v === 'boolean', 'true or false'],
+    adminMode: [(v) => typeof v === 'boolean', 'true or false'],
+    readOnly: [(v) => typeof v === 'boolean', 'true or false'],
+    callGraphOnly: [(v) => typeof v === 'boolean', 'true or false'],
+    rubric: [(v) => typeof v === 'boolean' || isObject(v), 'true, false, or an object'],
+    collaboration: [(v) => isObject(v) && typeof v.url === 'string', 'an object with a url'],
+    server: [(v) => isObject(v) && typeof v.url === 'string', 'an object with a url'],
+    deadline: [(v) => typeof v === 'string' && !isNaN(Date.parse(v)), 'a date and time, e.g. "2025-12-05T23:59:00-05:00"'],
+};
+
+function checkProperties(object, checks, where, errors) {
+    for (const [property, value] of Object.entries(object)) {
+        if (!checks[property]) { errors.push(`${where}: unknown property "${property}"`); continue; }
+        const [check, expected] = checks[property];
+        if (!check(value)) { errors.push(`${where}: "${property}" must be ${expected}`); }
+    }
+}
+
+// the initial model is checked like a plan, but without allowing unknown properties
+function checkInitialModel(model, errors) {
+    try {
+        // the calls are optional in an assignment
+        errors.push(...validatePlan(migratePlan({ calls: [], ...model }), true).map(error => `initialModel.${error}`));
+    } catch (e) {
+        if (!(e instanceof PlanError)) { throw e; }
+        errors.push(...e.errors.map(error => `initialModel.${error}`));
+    }
+}
+
+/**
+ * Checks that an assignment only has known options and that each has a valid
+ * value, including the functions and calls of the initial model.
+ * @param {object} assignment
+ * @returns {string[]} the problems found, empty if the assignment is valid
+ */
+export function validateAssignment(assignment) {
+    if (!isObject(assignment)) { return ['The assignment must be an object.']; }
+    const errors = [];
+    checkProperties(assignment, OPTION_CHECKS, 'assignment', errors);
+    for (const kind of ['Functions', 'Testable', 'InputFunctions', 'OutputFunctions']) {
+        const min = assignment[`min${kind}`], max = assignment[`max${kind}`];
+        if (isCount(min) && isCount(max) && min > max) { errors.push(`assignment: "min${kind}" is more than "max${kind}"`); }
+    }
+    if (isObject(assignment.initialModel)) { checkInitialModel(assignment.initialModel, errors); }
+    return errors;
+}
+
+/**
+ * Parses the text of an assignment file. The file is parsed as YAML if its
+ * name ends with .yaml or .yml, otherwise as JSON.
+ * @param {string} text
+ * @param {string} filename
+ * @returns {Promise<object>} the assignment (not validated)
+ */
+export async function parseAssignment(text, filename='') {
+    if (/\.ya?ml$/i.test(filename)) {
+        const { parse } = await import('yaml'); // only loaded when needed
+        return parse(text);
+    }
+    return JSON.parse(text);
+}
+
+/**
+ * Loads and validates an assignment from the server, trying each of the
+ * supported formats in order.
+ * @param {string} name the assignment name, i.e. the file name without the extension
+ * @param {string} baseURL where the assignment files are
+ * @returns {Promise<object>} the assignment with its planId filled in
+ * @throws {Error} if the assignment cannot be found or is invalid
+ */
+export async function loadAssignment(name, baseURL='assignments/') {
+    if (!/^[\w-]+$/.test(name || '')) { throw new Error(`Invalid assignment name "${name}".`); }
+    for (const format of ASSIGNMENT_FORMATS) {
+        const filename = `${name}.${format}`;
+        const response = await fetch(new URL(filename, new URL(baseURL, document.baseURI)),
+            { headers: { Accept: 'application/json, application/yaml, text/yaml' } });
+        if (!response.ok) { continue; }
+        let assignment;
+        try { assignment = await parseAssignment(await response.text(), filename); }
+        catch (e) { throw new Error(`Assignment ${filename} could not be read: ${e.message}`); }
+        const errors = validateAssignment(assignment);
+        if (errors.length > 0) { throw new Error(`Assignment ${filename} is invalid:\n${errors.join('\n')}`); }
+        return { planId: name, ...assignment };
+    }
+    throw new Error(`Assignment "${name}" was not found.`);
+}
+
+/**
+ * Creates an assignment from the current plan, which becomes the initial
+ * model of the assignment (including the read-only and shown properties).
+ * @param {*} model
+ * @param {object} settings the options of the assignment, those that are
+ *  null, undefined, or empty strings are left out
+ * @returns {object} the assignment
+ */
+export function makeAssignment(model, settings) {
+    const assignment = Object.fromEntries(Object.entries(settings).filter(([_, value]) => value != null && value !== ''));
+    assignment.initialModel = model.exportModel();
+    return assignment;
+}
+
+/**
+ * Converts an assignment to the text of an assignment file.
+ * @param {object} assignment
+ * @param {string} format one of ASSIGNMENT_FORMATS
+ * @returns {Promise<string>}
+ */
+export async function assignmentToText(assignment, format='json') {
+    if (format === 'json') { return JSON.stringify(assignment, null, 4) + '\n'; }
+    const { stringify } = await import('yaml'); // only loaded when needed
+    return stringify(assignment, { lineWidth: 0, blockQuote: 'literal' });
+}
@@ -5,11 +5,20 @@
 
 import Swal from 'sweetalert2';
 
-import { reset, exportToPython, exportPythonTests, saveJSON, loadJSON, importJSON } from './save-load.js';
+import { reset, exportToPython, exportPythonTests, saveJSON, shareLink, loadJSON, importJSON, loadPython, checkAgainstPython, exportAssignment } from './save-load.js';
 import { setSettings, SHOW_COLLAPSE_BUTTON, ALLOW_RECURSIVE } from './settings.js';
 import { updateDiagramTheme } from './diagram.js';
+import { FUNCTION_COUNT_LIMITS, countFunctions } from './problem-checker.js';
+import { showGrade } from './grade-panel.js';
+import { showHistory } from './history-panel.js';
+import { showReplay } from './replay-view.js';
+import { showActivity } from './activity-panel.js';
+import { showSubmit } from './submit-panel.js';
+import { canUsePlanFiles, setupPlanFile, showPlanFile } from './plan-file.js';
 import { loadSVG, htmlToNode, isMacOS } from './utils.js';
 
+import 'theme-toggles/css/within.min.css';
+
 import zoomIcon from '../images/magnifier.svg';
 import addIcon from '../images/add.svg';
 import resetIcon from '../images/reset.svg';
@@ -19,7 +28,17 @@ import pythonIcon from '../images/python.svg';
 import unitTestsIcon from '../images/unit-tests.svg';
 import saveIcon from '../images/save.svg';
 import loadIcon from '../images/load.svg';
+import loadPythonIcon from '../images/load-python.svg';
 import mergeIcon from '../images/merge.svg';
+import codeCheckIcon from '../images/code-check.svg';
+import gradeIcon from '../images/grade.svg';
+import assignmentIcon from '../images/assignment.svg';
+import historyIcon from '../images/history.svg';
+import replayIcon from '../images/replay.svg';
+import activityIcon from '../images/activity.svg';
+import submitIcon from '../images/submit.svg';
+import shareIcon from '../images/share.svg';
+import fileIcon from '../images/file.svg';
 import settingsIcon from '../images/settings.svg';
 import helpIcon from '../images/help.svg';
 
@@ -31,6 +50,10 @@ export const MODULE_DOCUMENTATION_TOO_SHORT_CLASS_NAME = 'func-planner-module-do
 export const AUTHOR_NAMES_MISSING_TOO_SHORT_NAME = 'func-planner-author-names-too-short';
 export const NUM_COUNT_CLASS_NAME = 'func-planner-count';
 export const NUM_TESTABLE_CLASS_NAME = 'func-planner-testable';
+export const NUM_INPUT_CLASS_NAME = 'func-planner-input-count';
+export const NUM_OUTPUT_CLASS_NAME = 'func-planner-output-count';
+export const USER_NAME_KEY = 'func-planner-user-name';
+export const SERVER_TOKEN_KEY = 'func-planner-server-token';
 
 /**
  * Create all of the buttons and UI elements for the diagram.
@@ -53,11 +76,29 @@ function makeWidgetButtons(parentDiv, diagram, model, options={}) {
     buttons.className = 'func-planner-buttons';
     parentDiv.appendChild(buttons);
 
-    function undo() { if (model.undoManager.canUndo()) { model.undoManager.undo(); } }
-    function redo() { if (model.undoManager.canRedo()) { model.undoManager.redo(); } }
+    const maxFunctions = options.maxFunctions ?? Infinity;
+    function canAddFunc() { return options.adminMode || model.functions.size < maxFunctions; }
+    function addFunc() {
+        if (model.readOnly) { return; }
+        if (canAddFunc()) { model.addFunc(); return; }
+        Swal.fire({
+            theme: options.theme,
+            title: 'Too Many Functions',
+            text: `This plan can have at most ${maxFunctions} functions. Remove a function before adding another one.`,
+            icon: 'warning',
+            showCloseButton: true,
+        });
+    }
+    function undo() { if (!model.readOnly && model.undoManager.canUndo()) { model.undoManager.undo(); } }
+    function redo() { if (!model.readOnly && model.undoManager.canRedo()) { model.undoManager.redo(); } }
 
     // keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        if (!buttons.isConnected) { return; } // the planner has been removed from the page
+        // ignore keys meant for other planners on the page and for plans shown over this one (see plan-viewer.js)
+        if (!parentDiv.contains(e.target)) { return; }
+        const overlays = document.querySelectorAll('.func-planner-viewer');
+        if (overlays.length > 0 && !overlays[overlays.length - 1].contains(parentDiv)) { return; }
         if ((isMac ? e.metaKey : e.ctrlKey) && !e.altKey) {
             const key = e.key.toLowerCase();
             if (key === 'r' && !e.shiftKey) {
@@ -65,7 +106,7 @@ function makeWidgetButtons(parentDiv, diagram, model, options={}) {
                 diagram.zoomToFit();
             } else if (key === 'f' && !e.shiftKey) {
                 e.preventDefault();
-                model.addFunc();
+                addFunc();
             } else if (key === 'z') {
                 e.preventDefault();
                 if (e.shiftKey) { redo(); } else { undo(); }
@@ -75,22 +116,28 @@ function makeWidgetButtons(parentDiv, diagram, model, options={}) {
 
     model.addListener('synced', () => { setTimeout(() => { diagram.zoomToFit(); }, 0); });
     addButton(buttons, zoomIcon, '', `Zoom to Fit (${ctrl}R)`, () => { diagram.zoomToFit(); });
-    addButton(buttons, addIcon, 'no-outline', `Add Function (${ctrl}F)`, () => { model.addFunc(); });
+    const addFuncButton = addButton(buttons, addIcon, 'no-outline', `Add Function (${ctrl}F)`, addFunc);
+    function updateAddFuncButton() { addFuncButton.disabled = model.readOnly || !canAddFunc(); }
+    model.addFuncAddListener(updateAddFuncButton);
+    model.addFuncRemoveListener(updateAddFuncButton);
+    model.addListener('readOnly', updateAddFuncButton);
+    updateAddFuncButton();
 
     // undo/redo buttons
     const undoButton = addButton(buttons, undoIcon, 'no-outline', `Undo (${ctrl}Z)`, undo);
     const redoButton = addButton(buttons, redoIcon, 'no-outline', `Redo (⇧${ctrl}Z)`, redo);
     function updateUndoRedoButtons() {
-        undoButton.disabled = !model.undoManager.canUndo();
-        redoButton.disabled = !model.undoManager.canRedo();
+        undoButton.disabled = model.readOnly || !model.undoManager.canUndo();
+        redoButton.disabled = model.readOnly || !model.undoManager.canRedo();
     }
     model.undoManager.on('stack-item-added', updateUndoRedoButtons);
     model.undoManager.on('stack-item-popped', updateUndoRedoButtons);
     model.undoManager.on('stack-cleared', updateUndoRedoButtons);
+    model.addListener('readOnly', updateUndoRedoButtons);
     updateUndoRedoButtons();
 
     // reset button
-    addButton(buttons, resetIcon, 'no-outline', `Reset`, () => { reset(model, options); });
+    const resetButton = addButton(buttons, resetIcon, 'no-outline', `Reset`, () => { reset(model, options); });
 
     // export/import buttons
     addButton(buttons, pythonIcon, '', 'Create Python Template', () => { exportToPython(model, options); });
@@ -104,8 +151,159 @@ function makeWidgetButtons(parentDiv, diagram, model, options={}) {
     updateTestButton();
     // TODO: only have these available if not connected to a shared Yjs model
     addButton(buttons, saveIcon, 'no-outline', 'Save as JSON', () => { saveJSON(model, options); });
-    addButton(buttons, loadIcon, 'no-outline', 'Load from JSON', () => { loadJSON(model, options); });
-    // addButton(buttons, mergeIcon, 'no-outline', 'Merge from JSON', () => { importJSON(model, options); });
+    addButton(buttons, shareIcon, 'no-outline', 'Copy Share Link', () => { shareLink(model, options); });
+    const planFile = model.indexeddb && canUsePlanFiles() ? setupPlanFile(model, options) : null;
+    if (planFile) { addButton(buttons, fileIcon, 'no-outline', 'Open/Save Plan File', () => { showPlanFile(planFile, options); }); }
+    if (model.indexeddb) {
+        addButton(buttons, historyIcon, 'no-outline', 'History', () => { showHistory(model, options); });
+        addButton(buttons, replayIcon, 'no-outline', 'Replay', async () => { showReplay(model.id, await model.getReplay(), options); });
+        addButton(buttons, activityIcon, 'no-outline', 'Activity', () => { showActivity(model, options); });
+    }
+    const loadButton = addButton(buttons, loadIcon, 'no-outline', 'Load from JSON', () => { loadJSON(model, options); });
+    const mergeButton = addButton(buttons, mergeIcon, 'no-outline', 'Merge from JSON', () => { importJSON(model, options); });
+    const loadPythonButton = addButton(buttons, loadPythonIcon, 'no-outline', 'Load from Python', () => { loadPython(model, options); });
+    const checkButton = addButton(buttons, codeCheckIcon, 'no-outline', 'Check Against Code', () => { checkAgainstPython(model, options); });
+    model.addListener('implementation', (implementation) => { checkButton.classList.toggle('active', !!implementation); });
+    if (options.rubric && options.adminMode) { addButton(buttons, gradeIcon, 'no-outline', 'Grade', () => { showGrade(model, options); }); }
+    if (model.server && !options.adminMode) { addButton(buttons, submitIcon, 'no-outline', 'Submit', () => { showSubmit(model, options); }); }
+    if (options.adminMode) { addButton(buttons, assignmentIcon, 'no-outline', 'Export as Assignment', () => { exportAssignment(model, options); }); }
+
+    // buttons that replace the plan cannot be used when it is read-only
+    function updateReadOnlyButtons() {
+        for (const button of [resetButton, loadButton, mergeButton, loadPythonButton]) { button.disabled = model.readOnly; }
+    }
+    model.addListener('readOnly', updateReadOnlyButtons);
+    updateReadOnlyButtons();
+
+    if (model.provider) { makeConnectionStatus(buttons, model, options); }
+    if (model.server) { makeServerStatus(buttons, model, options); }
+    if (planFile) { makePlanFileStatus(buttons, planFile, options); }
+}
+
+const CONNECTION_STATUS_TEXT = {
+    'connecting': 'Connecting...',
+    'connected': 'Connected',
+    'disconnected': 'Disconnected',
+};
+
+function makeConnectionStatus(holder, model, options) {
+    const status = document.createElement('div');
+    status.className = 'func-planner-connection-status';
+    const dot = document.createElement('div');
+    dot.className = 'func-planner-connection-dot';
+    const span = document.createElement('span');
+    status.append(dot, span);
+    holder.appendChild(status);
+
+    function update() {
+        const value = model.connectionStatus;
+        const others = model.getCollaborators().map(c => c.user.name);
+        status.dataset.status = value;
+        span.textContent = CONNECTION_STATUS_TEXT[value] || value;
+        if (value === 'connected' && others.length > 0) { span.textContent += ` (${others.length} other${others.length === 1 ? '' : 's'})`; }
+        status.title = `Collaboration server: ${CONNECTION_STATUS_TEXT[value] || value}\n` +
+            `You: ${model.getLocalUser()?.name}` + (others.length > 0 ? `\nOthers: ${others.join(', ')}` : '') +
+            '\nClick to change your name';
+    }
+    model.addListener('status', update);
+    model.addListener('presence', update);
+    update();
+
+    status.addEventListener('click', () => {
+        Swal.fire({
+            theme: options.theme,
+            title: 'Your Name',
+            text: 'This is the name other collaborators see.',
+            input: 'text',
+            inputValue: model.getLocalUser()?.name || '',
+            showCancelButton: true,
+            inputValidator: (value) => value.trim() ? null : 'A name is required.',
+        }).then((result) => {
+            if (!result.isConfirmed) { return; }
+            const name = result.value.trim();
+            localStorage.setItem(USER_NAME_KEY, name);
+            model.setLocalUser(name, model.getLocalUser()?.color);
+        });
+    });
+}
+
+const SERVER_STATUS_TEXT = {
+    'loading': 'Loading...',
+    'saving': 'Saving...',
+    'saved': 'Saved',
+    'submitted': 'Submitted',
+    'unauthorized': 'Not signed in',
+    'error': 'Not saved',
+};
+
+function makeServerStatus(holder, model, options) {
+    const status = document.createElement('div');
+    status.className = 'func-planner-connection-status';
+    const dot = document.createElement('div');
+    dot.className = 'func-planner-connection-dot';
+    const span = document.createElement('span');
+    status.append(dot, span);
+    holder.appendChild(status);
+
+    function update() {
+        const value = model.serverStatus;
+        // uses the same colors as the collaboration status
+        status.dataset.status = value === 'saved' || value === 'submitted' ? 'connected' : value === 'unauthorized' || value === 'error' ? 'disconnected' : 'connecting';
+        span.textContent = SERVER_STATUS_TEXT[value] || value;
+        status.title = `Plan server: ${SERVER_STATUS_TEXT[value] || value}` +
+            (value === 'error' ? '\nYour changes are saved in this browser and will be saved to the server when it can be reached' : '') +
+            '\nClick to enter your token';
+    }
+    model.addListener('server', update);
+    update();
+
+    status.addEventListener('click', () => {
+        Swal.fire({
+            theme: options.theme,
+            title: 'Plan Server Token',
+            text: 'Your plan is saved to the server with this token so you can open it on other computers.',
+            input: 'text',
+            inputValue: model.server.token || '',
+            showCancelButton: true,
+            inputValidator: (value) => value.trim() ? null : 'A token is required.',
+        }).then((result) => {
+            if (!result.isConfirmed) { return; }
+            const token = result.value.trim();
+            localStorage.setItem(SERVER_TOKEN_KEY, token);
+            model.setServerToken(token);
+        });
+    });
+}
+
+const PLAN_FILE_STATUS_TEXT = {
+    'saving': 'Saving file...',
+    'saved': 'File saved',
+    'permission': 'File not saved',
+    'error': 'File not saved',
+};
+
+function makePlanFileStatus(holder, planFile, options) {
+    const status = document.createElement('div');
+    status.className = 'func-planner-connection-status';
+    const dot = document.createElement('div');
+    dot.className = 'func-planner-connection-dot';
+    const span = document.createElement('span');
+    status.append(dot, span);
+    holder.appendChild(status);
+
+    function update() {
+        const value = planFile.status;
+        status.style.display = value ? '' : 'none'; // only shown when there is a plan file
+        // uses the same colors as the collaboration status
+        status.dataset.status = value === 'saved' ? 'connected' : value === 'saving' ? 'connecting' : 'disconnected';
+        span.textContent = PLAN_FILE_STATUS_TEXT[value] || value;
+        status.title = `Plan file ${planFile.fileName}: ${PLAN_FILE_STATUS_TEXT[value] || value}` +
+            (value === 'permission' ? '\nClick to allow saving the file again' : '\nClick to change the plan file');
+    }
+    planFile.addListener(update);
+    update();
+
+    status.addEventListener('click', () => { showPlanFile(planFile, options); });
 }
 
 function addButton(holder, icon, classes, name, callback) {
@@ -129,12 +327,6 @@ function addButton(holder, icon, classes, name, callback) {
 }
 
 function makeThemeToggle(parentDiv, options, diagram) {
-    const link = document.createElement("link");
-    link.type = "text/css";
-    link.rel = "stylesheet";
-    link.href = "https://cdn.jsdelivr.net/npm/theme-toggles@4.10.1/css/within.min.css";
-    document.head.appendChild(link);
-
     const checked = options.theme === 'dark';
     const button = htmlToNode(`
 <label class="func-planner-fab theme-toggle" title="Toggle theme">
@@ -220,18 +412,36 @@ template, and other actions.</p>
 <p>To add a new function call, drag from the edge of one function to another.
 They can be reconnected as needed. Double-clicking a call will reverse its
 direction.</p>
-<p>To remove functions or calls, select them and press the delete key.</p></div>`));
+<p>To remove functions or calls, select them and press the delete key.</p>
+<p>All of the plans saved in this browser are listed on the <a href="plans.html" target="_blank">My Plans</a> page.</p></div>`));
+}
+
+const COUNT_ROW_CLASS_NAMES = {
+    functions: NUM_COUNT_CLASS_NAME,
+    testable: NUM_TESTABLE_CLASS_NAME,
+    inputFunctions: NUM_INPUT_CLASS_NAME,
+    outputFunctions: NUM_OUTPUT_CLASS_NAME,
+};
+
+function limitText(min, max) {
+    if (max === Infinity) { return `${min}`; }
+    if (min === max) { return `${max}`; }
+    return min > 0 ? `${min}-${max}` : `≤${max}`;
 }
 
 function makeInfoBox(parentDiv, model, options) {
-    const minFunctions = options.minFunctions ?? 1;
-    const minTestable = options.minTestable ?? 0;
+    const limits = FUNCTION_COUNT_LIMITS.map(limit => ({
+        ...limit,
+        minimum: options[limit.min] ?? limit.defaultMin,
+        maximum: options[limit.max] ?? Infinity,
+    }));
 
     const infoBox = document.createElement('div');
     infoBox.className = INFO_BOX_CLASS_NAME;
     infoBox.innerHTML = '<table>' +
-        `<tr class="${NUM_COUNT_CLASS_NAME}"><td>Functions:</td><td>0</td><td>/</td><td>${minFunctions}</td></td></tr>` +
-        `<tr class="${NUM_TESTABLE_CLASS_NAME}"><td>Testable:</td><td>0</td><td>/</td><td>${minTestable}</td></tr>` +
+        limits.map(({ field, label, minimum, maximum }) =>
+            `<tr class="${COUNT_ROW_CLASS_NAMES[field]}"><td>${label}:</td><td>0</td><td>/</td><td>${limitText(minimum, maximum)}</td></tr>`
+        ).join('') +
         '</table>' +
         `<div class="${MAIN_CHECK_CLASS_NAME} value-hidden value-error">Need a main function</div>` +
         `<div class="${MODULE_DOCUMENTATION_MISSING_CLASS_NAME} value-hidden value-error">Program header is missing</div>` +
@@ -239,25 +449,23 @@ function makeInfoBox(parentDiv, model, options) {
         `<div class="${AUTHOR_NAMES_MISSING_CLASS_NAME} value-hidden value-error">Author name(s) are missing</div>` +
         `<div class="${AUTHOR_NAMES_MISSING_TOO_SHORT_NAME} value-hidden value-warn">Author name(s) are too short</div>`;
     parentDiv.appendChild(infoBox);
-    const countRow = infoBox.getElementsByClassName(NUM_COUNT_CLASS_NAME)[0];
-    const testableRow = infoBox.getElementsByClassName(NUM_TESTABLE_CLASS_NAME)[0];
+    const rows = Object.fromEntries(limits.map(({ field }) =>
+        [field, infoBox.getElementsByClassName(COUNT_ROW_CLASS_NAMES[field])[0]]));
     const mainCheck = infoBox.getElementsByClassName(MAIN_CHECK_CLASS_NAME)[0];
     const moduleDocMissing = infoBox.getElementsByClassName(MODULE_DOCUMENTATION_MISSING_CLASS_NAME)[0];
     const moduleDocTooShort = infoBox.getElementsByClassName(MODULE_DOCUMENTATION_TOO_SHORT_CLASS_NAME)[0];
     const authorNamesMissing = infoBox.getElementsByClassName(AUTHOR_NAMES_MISSING_CLASS_NAME)[0];
     const authorNamesTooShort = infoBox.getElementsByClassName(AUTHOR_NAMES_MISSING_TOO_SHORT_NAME)[0];
-    if (minFunctions <= 1) { countRow.classList.add('value-hidden'); }
-    if (minTestable <= 0) { testableRow.classList.add('value-hidden'); }
+    for (const { field, minimum, maximum, defaultMin } of limits) {
+        // only show the rows that have an actual requirement
+        if (minimum <= defaultMin && maximum === Infinity) { rows[field].classList.add('value-hidden'); }
+    }
     
     function update() {
-        const functions = Array.from(model.functions.values());
-        
-        const hasMain = functions.some(n => n.get('name')?.toString() === 'main');
-        mainCheck.classList.toggle('value-hidden', hasMain);
-        model.clearModelDataProblem(null, "main");
-        if (!hasMain) { model.recordModelDataProblem("error", "main", "There must be a main() function."); }
+        // the actual model data problems are recorded by the problem checker, this is just for the info box display
+        const counts = countFunctions(model);
+        mainCheck.classList.toggle('value-hidden', counts.hasMain);
         if (!options.callGraphOnly) {
-            // update the actual model data problems elsewhere, this is just for the info box display
             const doc = model.modelData.get('documentation')?.toString()?.trim() || '';
             moduleDocMissing.classList.toggle('value-hidden', doc.length > 0);
             moduleDocTooShort.classList.toggle('value-hidden', doc.length == 0 || (doc.length >= (options.minModuleDescLength ?? 25)));
@@ -267,16 +475,11 @@ function makeInfoBox(parentDiv, model, options) {
             authorNamesTooShort.classList.toggle('value-hidden', authors.length == 0 || lengths.every(len => len >= 3));
         }
 
-        countRow.cells[1].textContent = functions.length;
-        countRow.classList.toggle('value-error', functions.length < minFunctions);
-        model.clearModelDataProblem(null, "functions");
-        if (functions.length < minFunctions) { model.recordModelDataProblem("error", "functions", `There must be at least ${minFunctions} functions.`); }
-
-        const nTestable = functions.filter(n => n.get('testable')).length;
-        testableRow.cells[1].textContent = nTestable;
-        testableRow.classList.toggle('value-error', nTestable < minTestable);
-        model.clearModelDataProblem(null, "testable");
-        if (nTestable < minTestable) { model.recordModelDataProblem("error", "testable", `There must be at least ${minTestable} testable functions.`); }
+        for (const { field, count, minimum, maximum } of limits) {
+            const row = rows[field];
+            row.cells[1].textContent = counts[count];
+            row.classList.toggle('value-error', counts[count] < minimum || counts[count] > maximum);
+        }
     }
     model.addModelDataListener('documentation', update);
     model.addModelDataListener('authors', update);
@@ -284,5 +487,6 @@ function makeInfoBox(parentDiv, model, options) {
     model.addFuncRemoveListener(update);
     model.addFuncListener('name', update);
     model.addFuncListener('testable', update);
+    model.addFuncListener('io', update);
     update();
 }
@@ -0,0 +1,165 @@
+/**
+ * Functions for checking that a plan matches its implementation. The
+ * implementation is Python code parsed with parsePython() and set on the
+ * model with model.setImplementation(). Each function returns problems in
+ * the same [severity, field, message] format as the problem checker, which
+ * includes them with the rest of the problems so they show up in the diagram
+ * and inspectors. The field of each problem also lists "conformance" (e.g.
+ * "params,conformance") so the problems can be told apart from the rest.
+ *
+ * The exported functions are:
+ *  - funcConformanceProblems(model, key, options={})
+ *  - funcLinkConformanceProblems(model, key)
+ *  - callConformanceProblems(model, fromKey, toKey)
+ *  - modelConformanceProblems(model)
+ *  - conformanceReport(model, options={})
+ */
+
+function funcName(model, key) {
+    return model.functions.get(key)?.get('name')?.toString()?.trim() || '';
+}
+
+/** Gets the functions of the implementation by name, and the names of the functions each calls. */
+function getImplementation(model) {
+    const impl = model.implementation;
+    if (!impl) { return null; }
+    const funcs = {}, keyToName = {}, calls = {};
+    for (const func of impl.functions) {
+        if (!(func.name in funcs)) { funcs[func.name] = func; }
+        keyToName[func.key] = func.name;
+    }
+    for (const { from, to } of impl.calls) {
+        (calls[keyToName[from]] ??= new Set()).add(keyToName[to]);
+    }
+    return { funcs, calls };
+}
+
+// the code's types are converted to the same format the type editor produces, so only
+// the optional parentheses and spacing can differ
+function sameType(a, b) {
+    const normalize = (type) => type.replace(/[()\s]/g, '');
+    return normalize(a) === normalize(b);
+}
+function plural(n, word) { return `${n} ${word}${n === 1 ? '' : 's'}`; }
+function conformanceProblem(severity, field, message) { return [severity, `${field},conformance`, message]; }
+
+/**
+ * Checks a function in the plan against its implementation: whether it is
+ * defined and whether its parameters and returns match.
+ * @param {*} model
+ * @param {string} key
+ * @param {object} options if options.callGraphOnly is set, only checks that the function is defined
+ * @returns array of problems found: [ [severity, field, message], ... ]
+ */
+export function funcConformanceProblems(model, key, options={}) {
+    const impl = getImplementation(model);
+    const name = funcName(model, key);
+    if (!impl || !name) { return []; }
+    const code = impl.funcs[name];
+    if (!code) { return [conformanceProblem("error", "name", `Function ${name}() is not defined in the code.`)]; }
+    if (options.callGraphOnly) { return []; }
+
+    const problems = [];
+    const func = model.functions.get(key).toJSON();
+    const params = func.params || [], codeParams = code.params || [];
+    if (params.length !== codeParams.length) {
+        const names = codeParams.map(param => param.name).join(', ');
+        problems.push(conformanceProblem("error", "params", `The code has ${plural(codeParams.length, 'parameter')}${names ? ` (${names})` : ''} but the plan has ${params.length}.`));
+    } else {
+        for (let i = 0; i < params.length; i++) {
+            const param = params[i], codeParam = codeParams[i];
+            if ((param.name || '').trim() !== codeParam.name) {
+                problems.push(conformanceProblem("error", `params[${i}].name`, `Parameter is named ${codeParam.name} in the code.`));
+            }
+            if (param.type && codeParam.type && !sameType(param.type, codeParam.type)) {
+                problems.push(conformanceProblem("error", `params[${i}].type`, `Parameter type is ${codeParam.type} in the code.`));
+            }
+        }
+    }
+
+    const returns = func.returns || [], codeReturns = code.returns || [];
+    if (codeReturns.length === 0) {
+        // without a return type annotation or documentation we can only tell if it returns something
+        const returnsValue = /^\s*return\s+\S/m.test(code.code || '');
+        if (returns.length > 0 && !returnsValue && code.code) { problems.push(conformanceProblem("error", "returns", "The code never returns a value.")); }
+        else if (returns.length === 0 && returnsValue) { problems.push(conformanceProblem("error", "returns", "The code returns a value but the plan has no return values.")); }
+    } else if (returns.length !== codeReturns.length) {
+        problems.push(conformanceProblem("error", "returns", `The code has ${plural(codeReturns.length, 'return value')} but the plan has ${returns.length}.`));
+    } else {
+        for (let i = 0; i < returns.length; i++) {
+            if (returns[i].type && codeReturns[i].type && !sameType(returns[i].type, codeReturns[i].type)) {
+                problems.push(conformanceProblem("error", `returns[${i}].type`, `Return value type is ${codeReturns[i].type} in the code.`));
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Checks for calls made by a function in the code that are not in the plan.
+ * @param {*} model
+ * @param {string} key
+ * @returns array of problems found: [ [severity, field, message], ... ]
+ */
+export function funcLinkConformanceProblems(model, key) {
+    const impl = getImplementation(model);
+    const name = funcName(model, key);
+    if (!impl || !impl.funcs[name]) { return []; }
+    const planned = new Set((model.calledFunctions[key] || []).map(toKey => funcName(model, toKey)));
+    const names = new Set(Array.from(model.functions.keys()).map(other => funcName(model, other)));
+    return Array.from(impl.calls[name] || [])
+        .filter(to => names.has(to) && !planned.has(to))
+        .map(to => conformanceProblem("warning", "callsOutOf", `The code calls ${to}() but the plan does not.`));
+}
+
+/**
+ * Checks that a call in the plan happens in the code.
+ * @param {*} model
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @returns array of problems found: [ [severity, field, message], ... ]
+ */
+export function callConformanceProblems(model, fromKey, toKey) {
+    const impl = getImplementation(model);
+    const from = funcName(model, fromKey), to = funcName(model, toKey);
+    // missing functions are already reported on the function itself
+    if (!impl || !impl.funcs[from] || !impl.funcs[to]) { return []; }
+    if (impl.calls[from]?.has(to)) { return []; }
+    return [conformanceProblem("warning", "link", `${from}() never calls ${to}() in the code.`)];
+}
+
+/**
+ * Checks for functions in the code that are not in the plan.
+ * @param {*} model
+ * @returns array of problems found: [ [severity, field, message], ... ]
+ */
+export function modelConformanceProblems(model) {
+    const impl = getImplementation(model);
+    if (!impl) { return []; }
+    const names = new Set(Array.from(model.functions.keys()).map(key => funcName(model, key)));
+    return Object.keys(impl.funcs).filter(name => !names.has(name))
+        .map(name => ["warning", "conformance", `Function ${name}() is defined in the code but not in the plan.`]);
+}
+
+/**
+ * Gets all of the differences between the plan and the code.
+ * @param {*} model
+ * @param {object} options
+ * @returns {{severity: string, func: string|null, field: string, message: string}[]}
+ *  func is the name of the function (or "from() → to()" for calls) or null for the whole plan
+ */
+export function conformanceReport(model, options={}) {
+    const report = modelConformanceProblems(model).map(([severity, field, message]) => ({ severity, func: null, field, message }));
+    for (const key of model.functions.keys()) {
+        const name = funcName(model, key);
+        for (const [severity, field, message] of [...funcConformanceProblems(model, key, options), ...funcLinkConformanceProblems(model, key)]) {
+            report.push({ severity, func: `${name}()`, field, message });
+        }
+        for (const toKey of model.calledFunctions[key] || []) {
+            for (const [severity, field, message] of callConformanceProblems(model, key, toKey)) {
+                report.push({ severity, func: `${name}() → ${funcName(model, toKey)}()`, field, message });
+            }
+        }
+    }
+    return report;
+}
@@ -0,0 +1,148 @@
+/**
+ * The programmatic interface to a planner, returned by init() in
+ * function-planner.js so that the page embedding the planner (e.g. an LMS
+ * wrapper or an automatic checking script) can read and change the plan.
+ *
+ * The exported functions are:
+ *  - makeController(rootElem, model, diagram, options)
+ */
+
+import go from 'gojs';
+
+import { readPlan } from './plan-schema.js';
+import { collectProblems } from './grading.js';
+import { generatePythonTemplate, generatePythonTests } from './python-export.js';
+
+const EVENTS = ['change', 'problems', 'selection'];
+
+/**
+ * Makes the controller for a planner.
+ * @param {HTMLElement} rootElem the element the planner is in
+ * @param {Model} model
+ * @param {go.Diagram} diagram
+ * @param {object} options the options from plannerOptions()
+ * @returns {object} the controller
+ */
+export function makeController(rootElem, model, diagram, options) {
+    const listeners = Object.fromEntries(EVENTS.map(event => [event, []]));
+    let destroyed = null; // the promise from destroy()
+    function fire(event, ...args) {
+        for (const callback of listeners[event].slice()) { callback(...args); }
+    }
+
+    model.model.on('update', (_, origin, doc, transaction) => { fire('change', transaction.local); });
+
+    // problems are updated a few at a time, so they are reported once they are all updated
+    let problemsTimeout = null;
+    function problemsChanged() {
+        if (destroyed) { return; }
+        clearTimeout(problemsTimeout);
+        problemsTimeout = setTimeout(() => { fire('problems', collectProblems(model)); }, 0);
+    }
+    model.addFuncListener('problems', problemsChanged);
+    model.addFuncListener('linkProblems', problemsChanged);
+    model.addModelDataListener('problems', problemsChanged);
+    model.addFuncCallListener((action) => { if (action === 'problems') { problemsChanged(); } });
+    model.addFuncRemoveListener(problemsChanged);
+
+    function selectedFunctions() {
+        return Array.from(diagram.selection)
+            .filter(part => part instanceof go.Node && model.functions.has(part.data.key))
+            .map(node => ({ key: node.data.key, name: model.functions.get(node.data.key).get('name')?.toString() ?? '' }));
+    }
+    diagram.addDiagramListener('ChangedSelection', () => { fire('selection', selectedFunctions()); });
+
+    return {
+        /** The model of the plan (see src/model.js). */
+        model,
+        /** The GoJS diagram showing the plan. */
+        diagram,
+
+        /**
+         * Gets the plan.
+         * @returns {object} the plan in the same format as "Save as JSON"
+         */
+        getPlan() { return model.exportModel(); },
+
+        /**
+         * Replaces the plan, even if the planner is read-only. Plans from
+         * older versions are migrated.
+         * @param {object|string} plan the plan or its JSON
+         * @throws {PlanError|SyntaxError} if the plan is invalid
+         */
+        loadPlan(plan) {
+            model.importModel(readPlan(typeof plan === 'string' ? JSON.parse(plan) : plan));
+        },
+
+        /**
+         * Generates Python code from the plan, like the "Create Python
+         * Template" and "Generate Python Unit Tests" buttons.
+         * @param {object} pythonOptions
+         * @param {boolean} pythonOptions.tests if true, generates the unit tests instead of the template
+         * @param {boolean} pythonOptions.withTypes if false, the template has no type hints (defaults to true)
+         * @param {string|null} pythonOptions.author only includes the functions claimed by this author
+         * @returns {string} the Python code
+         */
+        exportPython({ tests=false, withTypes=true, author=null }={}) {
+            return tests ? generatePythonTests(model, author) : generatePythonTemplate(model, options, author, withTypes);
+        },
+
+        /**
+         * Gets the current problems with the plan.
+         * @returns {object[]} the problems (see collectProblems() in src/grading.js)
+         */
+        getProblems() { return collectProblems(model); },
+
+        /**
+         * Adds a listener for an event:
+         *  - 'change': when the plan changes, with signature (local) where
+         *    local is false for changes from collaborators or the plan server
+         *  - 'problems': when the problems change, with signature (problems) (see getProblems())
+         *  - 'selection': when the selected functions change, with signature
+         *    (functions) where each function is {key, name}
+         * @param {string} event
+         * @param {function} callback
+         * @returns {function} function to remove the listener
+         * @throws {Error} if the event is not supported
+         */
+        on(event, callback) {
+            if (!listeners[event]) { throw new Error(`Unknown planner event "${event}", expected one of: ${EVENTS.join(', ')}`); }
+            listeners[event].push(callback);
+            return () => {
+                const index = listeners[event].indexOf(callback);
+                if (index >= 0) { listeners[event].splice(index, 1); }
+            };
+        },
+
+        /**
+         * Selects a function and scrolls to it.
+         * @param {string|null} funcName the name of the function, or null to clear the selection
+         * @returns {boolean} false if there is no function with that name
+         */
+        select(funcName) {
+            if (funcName === null) { diagram.clearSelection(); return true; }
+            const key = Array.from(model.functions.keys()).find(key => model.functions.get(key).get('name')?.toString().trim() === funcName.trim());
+            const node = key !== undefined ? diagram.findNodeForKey(key) : null;
+            if (!node) { return false; }
+            diagram.select(node);
+            diagram.commandHandler.scrollToPart(node);
+            return true;
+        },
+
+        /**
+         * Removes the planner from the page and closes the plan, saving any
+         * pending changes first. The controller cannot be used afterwards.
+         * @returns {Promise<void>} resolves once everything is saved and closed
+         */
+        destroy() {
+            if (destroyed) { return destroyed; }
+            for (const event of EVENTS) { listeners[event].length = 0; }
+            clearTimeout(problemsTimeout);
+            diagram.div = null; // releases the diagram's resources
+            rootElem.replaceChildren();
+            rootElem.classList.remove('func-planner', 'dark-mode');
+            destroyed = model.destroy();
+            return destroyed;
+        },
+    };
+}
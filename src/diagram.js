@@ -3,7 +3,7 @@ import go from 'gojs';
 import { AvoidsLinksRouter } from './AvoidsLinksRouter.js';
 
 import { makeNameEditor, isBlankFunctionName } from './name-editor.js';
-import { pythonDefLine } from './save-load.js';
+import { pythonDefLine } from './python-export.js';
 import { updateAllProblems, updateInterNodeProblems, willFuncBecomeRecursive } from './problem-checker.js';
 import { ALLOW_RECURSIVE, SHOW_COLLAPSE_BUTTON } from './settings.js';
 
@@ -18,6 +18,9 @@ const DEFAULTS = {
     'readOnly': false,
 }
 
+// the badges shown on the functions when comparing two versions of a plan
+const DIFF_BADGES = { added: '+', removed: '−', modified: '~' };
+
 /**
  * Setup and return a GoJS diagram inside the given root element, using the
  * provided model and options.
@@ -52,13 +55,20 @@ export function setupDiagram(
         'toolManager.toolTipDuration': 1e10,
     });
     updateDiagramTheme(diagram);
+    diagram.isReadOnly = model.readOnly;
+    model.addListener('readOnly', (readOnly) => { diagram.isReadOnly = readOnly; });
 
     function strokeColor(problems) {
         return problems.some(p => p[0] === 'error') ? 'error-stroke' : (problems.length > 0 ? 'warning-stroke' : 'stroke');
     }
     function strokeColor2(ps, o) {
+        if (DIFF_BADGES[o.part.data.diff]) { return `diff-${o.part.data.diff}`; }
         return strokeColor((o.part.data.problems || []).concat(o.part.data.linkProblems || []));
     }
+    function linkColor(ps, o) {
+        if (DIFF_BADGES[o.part.data.diff]) { return `diff-${o.part.data.diff}`; }
+        return strokeColor(o.part.data.problems || []);
+    }
 
     // Node template
     diagram.nodeTemplate = new go.Node('Spot', {
@@ -94,11 +104,20 @@ export function setupDiagram(
                 .themeData('fill', 'io', null, (io, o) => o.part.data.testable ? 'bg-testable' : `bg-${io || 'none'}`)
                 .themeData('stroke', 'problems', null, strokeColor2)
                 .themeData('stroke', 'linkProblems', null, strokeColor2)
+                .themeData('stroke', 'diff', null, strokeColor2)
+                .bind('strokeDashArray', 'diff', (diff) => diff === 'removed' ? [6, 4] : null)
                 .bind('fromLinkable', 'readOnly', (ro) => !isCallsOutOfRO(ro))
                 .bind('cursor', 'readOnly', (ro) => isCallsOutOfRO(ro) ? 'pointer' : 'crosshair')
                 .bind('toLinkable', 'readOnly', (ro) => !isCallsIntoRO(ro)),
             makeNameEditor(model, options)
         ),
+        // only shown when comparing two versions of a plan (see diff-view.js)
+        new go.Panel('Auto', { alignment: go.Spot.TopRight, visible: false })
+            .bind('visible', 'diff', (diff) => !!DIFF_BADGES[diff])
+            .add(
+                new go.Shape('Circle', { width: 20, height: 20, strokeWidth: 0 }).themeData('fill', 'diff', null, (diff) => `diff-${diff}`),
+                new go.TextBlock({ font: 'bold 14px sans-serif', stroke: 'white' }).bind('text', 'diff', (diff) => DIFF_BADGES[diff] ?? ''),
+            ),
     )
     .theme('shadowColor', 'shadow')
     .bindObject('layerName', 'isSelected', (sel) => (sel ? 'Foreground' : ''))
@@ -142,9 +161,10 @@ export function setupDiagram(
             // Reverse the link direction on double-click
             const from = link.fromNode;
             const to = link.toNode;
+            if (diagram.isReadOnly) { return false; }
             if (isCallsIntoRO(from.data.readOnly) || isCallsOutOfRO(to.data.readOnly) ||
                 isCallsIntoRO(to.data.readOnly) || isCallsOutOfRO(from.data.readOnly)) { return false; }
-            if (model.calls.has(`${to.data.key}-${from.data.key}`)) { return false; }
+            if (model.calledFunctions[to.data.key]?.includes(from.data.key)) { return false; }
             // TODO: check recursive?
             reversingLink = true;
             model.updateFuncCall(from.data.key, to.data.key, to.data.key, from.data.key);
@@ -160,9 +180,13 @@ export function setupDiagram(
             (link.findObject('HEAD') || {}).scale = 1.4;
         },
     }).add(
-        new go.Shape({ name: 'STROKE', strokeWidth: 2 }).themeData('stroke', 'problems', null, strokeColor),
+        new go.Shape({ name: 'STROKE', strokeWidth: 2 })
+            .themeData('stroke', 'problems', null, linkColor)
+            .themeData('stroke', 'diff', null, linkColor)
+            .bind('strokeDashArray', 'diff', (diff) => diff === 'removed' ? [6, 4] : null),
         new go.Shape({ name: 'HEAD', toArrow: 'Standard', scale: 1.4, stroke: null })
-            .themeData('fill', 'problems', null, strokeColor)
+            .themeData('fill', 'problems', null, linkColor)
+            .themeData('fill', 'diff', null, linkColor)
     );
     // TODO: make the vertical links work better with the LayeredDigraphLayout
     const router = new AvoidsLinksRouter();
@@ -292,14 +316,14 @@ export function setupDiagram(
     model.addModelDataListener('authors', (_, newValue) => {
         diagram.findTopLevelGroups().each(group => group.updateTargetBindings('key'));
     });
-    model.addFuncAddListener((key, data) => {
+    model.addFuncAddListener((key, data, local) => {
         if (!('name' in data) || isBlankFunctionName(data.name)) { data.name = 'function'; }
         diagram.model.addNodeData({ key: key, ...data });
         if (options.canClaimFuncs && data.owner) {
             setGroup(diagram.findNodeForKey(key), data.owner);
         }
-        if (model.synced) {
-            // TODO: if the origin of the change is another user, don't select the new node
+        if (model.synced && local) {
+            // don't steal the selection when another collaborator adds a function
             diagram.select(diagram.findNodeForKey(key));
         }
     });
@@ -336,6 +360,7 @@ export function setupDiagram(
         const node = diagram.findNodeForKey(key);
         if (node) { diagram.model.setDataProperty(node.data, 'linkProblems', newValue); }
     });
+    if (model.awareness) { setupPresence(diagram, model); }
     model.addFuncCallListener((action, oldFrom, oldTo, newFrom, newTo) => {
         if (action === 'add') {
             if (diagram.findLinksByExample({ from: newFrom, to: newTo }).count === 0) {
@@ -359,6 +384,56 @@ export function setupDiagram(
     return diagram;
 }
 
+/**
+ * Show which function each collaborator has selected (with a colored outline
+ * and name tags) and share the local selection with them.
+ * @param {go.Diagram} diagram
+ * @param {*} model
+ */
+function setupPresence(diagram, model) {
+    const adornmentTemplate = new go.Adornment('Spot').add(
+        new go.Panel('Auto').add(
+            new go.Shape('RoundedRectangle', { fill: null, strokeWidth: 3 })
+                .bind('stroke', 'remoteUsers', (users) => users?.[0]?.color ?? 'transparent'),
+            new go.Placeholder({ padding: 3 }),
+        ),
+        new go.Panel('Horizontal', {
+            alignment: go.Spot.TopLeft,
+            alignmentFocus: go.Spot.BottomLeft,
+            itemTemplate: new go.Panel('Auto', { margin: new go.Margin(0, 2, 2, 0) }).add(
+                new go.Shape('RoundedRectangle', { strokeWidth: 0 }).bind('fill', 'color'),
+                new go.TextBlock({ margin: new go.Margin(1, 4, 1, 4), font: '10px sans-serif', stroke: 'white' })
+                    .bind('text', 'name'),
+            ),
+        }).bind('itemArray', 'remoteUsers'),
+    );
+
+    let shownKeys = [];
+    model.addListener('presence', (collaborators) => {
+        const users = {};
+        for (const { user, selection } of collaborators) {
+            if (selection != null) { (users[selection] ??= []).push(user); }
+        }
+        for (const key of new Set(shownKeys.concat(Object.keys(users)))) {
+            const node = diagram.findNodeForKey(key);
+            if (!node) { continue; }
+            diagram.model.setDataProperty(node.data, 'remoteUsers', users[key] ?? []);
+            if (users[key]) {
+                if (!node.findAdornment('Remote')) {
+                    const adornment = adornmentTemplate.copy();
+                    adornment.adornedObject = node.findObject('BODY');
+                    node.addAdornment('Remote', adornment);
+                }
+            } else { node.removeAdornment('Remote'); }
+        }
+        shownKeys = Object.keys(users);
+    });
+    diagram.addDiagramListener('ChangedSelection', (e) => {
+        const subject = e.subject.first();
+        model.setLocalSelection(subject instanceof go.Node ? subject.data.key : null);
+    });
+}
+
 export function updateDiagramTheme(diagram) {
     const style = getComputedStyle(diagram.div);
     function getColor(name, defaultValue) {
@@ -402,6 +477,11 @@ export function updateDiagramTheme(diagram) {
             'bg-none': getColor('bg-none', '#d1d5db'),
             'bg-undefined': '#ff0000', // for debugging
 
+            // colors for the changes when comparing two versions of a plan
+            'diff-added': getColor('diff-added', '#16a34a'),
+            'diff-removed': getColor('diff-removed', '#dc2626'),
+            'diff-modified': getColor('diff-modified', '#2563eb'),
+
             // group colors for function authorship
             ...groupColors,
         },
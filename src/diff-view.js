@@ -0,0 +1,140 @@
+/**
+ * Shows the differences between two versions of a plan over the rest of the
+ * page (see plan-diff.js). The functions that were added, removed, or
+ * modified are colored in the diagram along with the calls that were added or
+ * removed, and selecting a function shows how each of its fields changed.
+ *
+ * The exported functions are:
+ *  - showDiff(before, after, options)
+ */
+
+import go from 'gojs';
+import diff from 'fast-diff';
+
+import { Model } from './model.js';
+import { setupDiagram } from './diagram.js';
+import { setupInspector } from './inspector.js';
+import { diffPlans } from './plan-diff.js';
+import { escapeHtml } from './utils.js';
+
+const FIELD_LABELS = {
+    name: 'Name',
+    desc: 'Description',
+    params: 'Parameters',
+    returns: 'Returns',
+    io: 'User I/O',
+    testable: 'Testable',
+    code: 'Code',
+};
+
+const STATUS_LABELS = { added: 'Added', removed: 'Removed', modified: 'Modified', unchanged: 'Unchanged' };
+
+/**
+ * Converts the parameters or returns of a function to text with one per line
+ * so that they can be diffed like the other text.
+ * @param {object[]} vars
+ * @returns {string}
+ */
+function varsToText(vars) {
+    return vars.map(({ name, type, desc }) =>
+        `${name ? `${name}: ` : ''}${type || 'unknown'}${desc ? ` - ${desc}` : ''}`
+    ).join('\n');
+}
+
+function textDiff(before, after) {
+    return diff(before, after, undefined, true).map(([op, text]) =>
+        op === diff.INSERT ? `<ins>${escapeHtml(text)}</ins>` : op === diff.DELETE ? `<del>${escapeHtml(text)}</del>` : escapeHtml(text)
+    ).join('');
+}
+
+function fieldDiff({ field, before, after }) {
+    if (field === 'params' || field === 'returns') { return `<pre>${textDiff(varsToText(before), varsToText(after))}</pre>`; }
+    if (field === 'code') { return `<pre>${textDiff(before, after)}</pre>`; }
+    if (typeof before === 'string' && field !== 'io') { return `<p>${textDiff(before, after)}</p>`; }
+    return `<p><del>${escapeHtml(before.toString())}</del> → <ins>${escapeHtml(after.toString())}</ins></p>`;
+}
+
+/**
+ * Makes the inspector contents for a function or, if no function is
+ * selected, a summary of all of the changes.
+ * @param {object} changes the result of diffPlans()
+ * @param {string|null} key the selected function
+ * @returns {string} HTML
+ */
+function inspectorHtml(changes, key) {
+    if (key == null) {
+        const { added, removed, modified, addedCalls, removedCalls } = changes.counts;
+        const changed = Object.entries(changes.functions).filter(([_, func]) => func.status !== 'unchanged');
+        return `<h2>Changes</h2>
+<p>${added} function(s) added, ${removed} removed, and ${modified} modified.<br>${addedCalls} call(s) added and ${removedCalls} removed.</p>
+${changed.length ? `<ul>${changed.map(([key, { status, before, after }]) =>
+    `<li data-key="${escapeHtml(key)}" class="diff-${status}">${escapeHtml((after ?? before).name || 'function')}() <span>${STATUS_LABELS[status]}</span></li>`
+).join('')}</ul>` : '<p>The functions are the same.</p>'}`;
+    }
+    const { status, before, after, fields } = changes.functions[key];
+    return `<h2>${escapeHtml((after ?? before).name || 'function')}()</h2>
+<p class="diff-${status}">${STATUS_LABELS[status]}</p>
+${fields.length ? fields.map(field => `<h3>${FIELD_LABELS[field.field]}</h3>${fieldDiff(field)}`).join('') : '<p>No changes.</p>'}`;
+}
+
+/**
+ * Shows the differences between two plans until closed with the close button
+ * or Escape.
+ * @param {object} before the older plan in the same format as model.exportModel()
+ * @param {object} after the newer plan in the same format as model.exportModel()
+ * @param {object} options the planner options (see plannerOptions() in function-planner.js)
+ * @returns {function} function to close the view
+ */
+export function showDiff(before, after, options) {
+    const changes = diffPlans(before, after);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'func-planner-viewer';
+    const plannerDiv = document.createElement('div');
+    plannerDiv.classList.add('func-planner', 'func-planner-diff');
+    plannerDiv.classList.toggle('dark-mode', options.theme === 'dark');
+    const close = document.createElement('button');
+    close.className = 'func-planner-viewer-close';
+    close.title = 'Close (Esc)';
+    close.textContent = '✕';
+    overlay.append(plannerDiv, close);
+    document.body.appendChild(overlay);
+
+    const model = new Model('diff', changes.plan, { persist: false, readOnly: true });
+    const diagram = setupDiagram(plannerDiv, model, { ...options, title: options.title ?? 'Changes', adminMode: false, readOnly: true });
+    const inspectorDiv = setupInspector(diagram.div);
+    function showInspector(key) { inspectorDiv.innerHTML = inspectorHtml(changes, key); }
+    showInspector(null);
+    diagram.addDiagramListener('ChangedSelection', (e) => {
+        const subject = e.subject.first();
+        if (subject instanceof go.Link) { return; } // keep same
+        showInspector(subject?.data.key ?? null);
+    });
+    inspectorDiv.addEventListener('click', (e) => {
+        const key = e.target.closest('li[data-key]')?.dataset.key;
+        if (key) { diagram.select(diagram.findNodeForKey(key)); }
+    });
+
+    // the nodes and links only exist once the plan is loaded
+    model.whenSynced.then(() => {
+        for (const [key, { status }] of Object.entries(changes.functions)) {
+            const node = diagram.findNodeForKey(key);
+            if (node) { diagram.model.setDataProperty(node.data, 'diff', status); }
+        }
+        for (const { from, to, status } of changes.calls) {
+            const link = diagram.findLinksByExample({ from, to }).first();
+            if (link) { diagram.model.setDataProperty(link.data, 'diff', status); }
+        }
+    });
+
+    function onKeyDown(e) { if (e.key === 'Escape' && !document.querySelector('.swal2-container')) { closeDiff(); } }
+    function closeDiff() {
+        document.removeEventListener('keydown', onKeyDown);
+        diagram.div = null; // releases the diagram's resources
+        model.destroy();
+        overlay.remove();
+    }
+    close.addEventListener('click', closeDiff);
+    document.addEventListener('keydown', onKeyDown);
+    return closeDiff;
+}
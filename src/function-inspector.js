@@ -5,8 +5,8 @@
 import Sortable from 'sortablejs';
 import Swal from 'sweetalert2';
 
-import { wrapWithLabel, makeCheckbox, makeTextarea, makeCodeEditorWithShowCheckbox, makeReadOnlySelect, makeProblemsDiv, isReadOnly } from './inspector.js';
-import { loadSVG, makeOption, makeAddButton, makeRemoveButton } from './utils.js';
+import { wrapWithLabel, makeCheckbox, makeTextarea, makeCodeEditorWithShowCheckbox, makeReadOnlySelect, makeProblemsDiv, isReadOnly, makeAddButton, makeRemoveButton } from './inspector.js';
+import { loadSVG, makeOption } from './utils.js';
 
 import TypeEditor from './type-editor.js';
 
@@ -31,16 +31,24 @@ export function makeFunctionInspector(model, options) {
             if (actualKey === key) { listener(value, prop, key); }
         });
     }
+    // everything is read-only when the whole model is, otherwise nothing is in admin mode
+    function getRO(value) { return model.readOnly || (!options.adminMode && (value ?? false)); }
     function listenRO(property, listener) {
-        if (options.adminMode) { listener(false); }
-        else {
-            model.addFuncListener('readOnly', (actualKey, _, value) => {
-                if (actualKey === key) { listener(isReadOnly(value ?? false, property)); }
-            });
-        }
+        model.addFuncListener('readOnly', (actualKey, _, value) => {
+            if (actualKey === key) { listener(isReadOnly(getRO(value), property)); }
+        });
+    }
+    model.addListener('readOnly', () => { if (key !== null) { model.fireFuncListeners(key); } });
+
+    const funcs = { set, add, remove, move, listen, listenRO, getRO };
+    if (model.awareness) {
+        funcs.setCursor = (property, index) => { model.setLocalCursor(key, property, index); };
+        funcs.listenCursors = (property, listener) => {
+            const update = () => { if (key !== null) { listener(model.getRemoteCursors(key, property)); } };
+            model.addListener('presence', update);
+            listen(property, update);
+        };
     }
-
-    const funcs = { set, add, remove, move, listen, listenRO };
 
     function setKey(newKey) {
         if (key === newKey) { return; }
@@ -271,9 +279,7 @@ function createVarsBox(model, options, name, property, hasName, funcs) {
                 for (let i = 0; i < value.length; i++) {
                     const box = makeVarBox(model, options, hasName);
                     list.appendChild(box);
-                    if (!options.adminMode) {
-                        updateItemRO(box, i, model.functions.get(key).get('readOnly') ?? false);
-                    }
+                    updateItemRO(box, i, funcs.getRO(model.functions.get(key).get('readOnly')));
                 }
                 // update all boxes
                 for (const [i, v] of value.entries()) { updateVarBox(list, i, v, hasName); }
@@ -294,17 +300,15 @@ function createVarsBox(model, options, name, property, hasName, funcs) {
 
     // readonly listeners
     // cannot use funcs.listenRO here because we need to set up multiple listeners for each property
-    if (!options.adminMode) {
-        funcs.listen('readOnly', (value) => {
-            const ro = value ?? false;
-            const masterRO = isReadOnly(ro, property);
-            div.classList.toggle("func-vars-readonly", masterRO);
-            initAdd.classList.toggle("func-button-disabled", masterRO);
-            for (let i = 0; i < list.children.length; i++) {
-                updateItemRO(list.children[i], i, ro);
-            }
-        });
-    }
+    funcs.listen('readOnly', (value) => {
+        const ro = funcs.getRO(value);
+        const masterRO = isReadOnly(ro, property);
+        div.classList.toggle("func-vars-readonly", masterRO);
+        initAdd.classList.toggle("func-button-disabled", masterRO);
+        for (let i = 0; i < list.children.length; i++) {
+            updateItemRO(list.children[i], i, ro);
+        }
+    });
 
     return div;
 }
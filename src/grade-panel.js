@@ -0,0 +1,53 @@
+/**
+ * The "Grade" panel for instructors, showing the score of the plan according
+ * to the rubric (see grading.js) along with the deductions and the problems
+ * behind them. The grade can be downloaded as JSON or CSV.
+ *
+ * The exported functions are:
+ *  - showGrade(model, options)
+ */
+
+import Swal from 'sweetalert2';
+
+import { gradePlan, gradeRecord, gradesToCSV } from './grading.js';
+import { escapeHtml, dataURL } from './utils.js';
+
+import gradeIcon from '../images/grade.svg';
+
+function formatPoints(points) { return Number.isInteger(points) ? points.toString() : points.toFixed(1); }
+
+/**
+ * Grade the plan and show the results.
+ * @param {*} model
+ * @param {object} options options.rubric is the rubric to use
+ */
+export function showGrade(model, options={}) {
+    const grade = gradePlan(model, options.rubric);
+    const record = gradeRecord(model, grade);
+    const json = JSON.stringify(record, null, 2);
+    const csv = gradesToCSV([record]);
+
+    const rows = grade.deductions.filter(d => d.errors + d.warnings > 0).map(d =>
+        `<tr><td>${escapeHtml(d.label)}</td><td>${d.errors}</td><td>${d.warnings}</td><td>−${formatPoints(d.points)}</td></tr>`
+    ).join('');
+    const problems = grade.problems.map(p => {
+        const where = p.call || (p.func ? `${p.func}()` : null);
+        return `<li class="${p.severity}">${where ? `<strong>${escapeHtml(where)}</strong> ` : ''}${escapeHtml(p.message)}</li>`;
+    }).join('');
+    const html = `<div class="func-planner-grade">
+<p class="func-planner-score">${formatPoints(grade.score)} / ${formatPoints(grade.points)}</p>
+${rows ? `<table><tr><th>Category</th><th>Errors</th><th>Warnings</th><th>Points</th></tr>${rows}</table>` : '<p>No deductions.</p>'}
+${problems ? `<details><summary>Problems (${grade.problems.length})</summary><ul class="func-planner-report">${problems}</ul></details>` : ''}
+<p>Download as <a href="${dataURL(json, 'application/json')}" download="${model.id}-grade.json">JSON</a>
+or <a href="${dataURL(csv, 'text/csv')}" download="${model.id}-grade.csv">CSV</a></p>
+</div>`;
+
+    Swal.fire({
+        theme: options.theme,
+        imageUrl: gradeIcon,
+        imageWidth: "6em",
+        title: "Grade",
+        html,
+        showCloseButton: true,
+    });
+}
@@ -0,0 +1,170 @@
+/**
+ * Functions for grading a plan based on its problems. Each problem is put
+ * into a category and each category of the rubric deducts points per error
+ * and per warning, up to a maximum for that category.
+ *
+ * A rubric is given to init() as options.rubric, either true to use the
+ * default rubric or an object that overrides parts of it:
+ *     rubric: {
+ *         points: 50,
+ *         categories: {
+ *             documentation: { error: 1, warning: 0.5, max: 10 },
+ *             types: { max: 0 }, // don't grade types
+ *         },
+ *     }
+ *
+ * The exported functions are:
+ *  - getRubric(rubric)
+ *  - collectProblems(model)
+ *  - categorizeProblem(problem)
+ *  - gradePlan(model, rubric)
+ *  - gradeRecord(model, grade)
+ *  - gradesToCSV(records)
+ */
+
+import { csvValue } from './utils.js';
+
+/**
+ * The default rubric. The categories are checked in order by
+ * categorizeProblem(), with "other" catching anything not in another category.
+ */
+export const DEFAULT_RUBRIC = {
+    points: 100,
+    categories: {
+        conformance: { label: 'Matches the Code', error: 3, warning: 1, max: 20 },
+        structure: { label: 'Program Structure', error: 10, warning: 5, max: 30 },
+        calls: { label: 'Function Calls', error: 5, warning: 2, max: 20 },
+        naming: { label: 'Naming', error: 3, warning: 1, max: 10 },
+        signatures: { label: 'Parameters and Returns', error: 3, warning: 1, max: 15 },
+        types: { label: 'Types', error: 2, warning: 1, max: 10 },
+        documentation: { label: 'Documentation', error: 2, warning: 1, max: 20 },
+        io: { label: 'User I/O', error: 3, warning: 1, max: 10 },
+        testing: { label: 'Testability', error: 3, warning: 1, max: 10 },
+        other: { label: 'Other', error: 1, warning: 0, max: 10 },
+    },
+};
+
+// fields of the problems in each category (see problem-checker.js)
+const CATEGORY_FIELDS = {
+    structure: ['main', 'functions', 'testable', 'inputFunctions', 'outputFunctions'],
+    calls: ['link', 'callsInto', 'callsOutOf'],
+    naming: ['name', 'params[].name'],
+    signatures: ['params', 'returns'],
+    types: ['params[].type', 'returns[].type'],
+    documentation: ['documentation', 'authors', 'desc', 'params[].desc', 'returns[].desc'],
+    io: ['io', 'testable,io'],
+    testing: ['testable,params', 'testable,returns'],
+};
+
+/**
+ * Combines a rubric option with the default rubric.
+ * @param {object|boolean} rubric the rubric option, true for the default rubric
+ * @returns {object} complete rubric with points and categories
+ */
+export function getRubric(rubric) {
+    rubric = typeof rubric === 'object' && rubric !== null ? rubric : {};
+    const categories = {};
+    for (const [id, category] of Object.entries(DEFAULT_RUBRIC.categories)) {
+        categories[id] = { ...category, ...(rubric.categories?.[id] || {}) };
+    }
+    return { points: rubric.points ?? DEFAULT_RUBRIC.points, categories };
+}
+
+/**
+ * Collects all of the current problems in the model: for the model data, each
+ * function, the links of each function, and each call.
+ * @param {*} model
+ * @returns {{severity: string, field: string, message: string, func: string|null, call: string|null, key: string|null, toKey: string|null}[]}
+ *  func is the name of the function and call is "from() → to()" for call
+ *  problems, key and toKey are the keys of the function and called function
+ */
+export function collectProblems(model) {
+    const problems = [];
+    const nameOf = (key) => model.functions.get(key)?.get('name')?.toString()?.trim() || `function${key}`;
+    for (const [severity, field, message] of model.getModelDataProblems()) {
+        problems.push({ severity, field, message, func: null, call: null, key: null, toKey: null });
+    }
+    for (const key of model.functions.keys()) {
+        const func = nameOf(key);
+        for (const [severity, field, message] of [...model.getFuncProblems(key), ...model.getFuncLinkProblems(key)]) {
+            problems.push({ severity, field, message, func, call: null, key, toKey: null });
+        }
+        for (const toKey of model.calledFunctions[key] || []) {
+            for (const [severity, field, message] of model.getFuncCallProblems(key, toKey)) {
+                problems.push({ severity, field, message, func, call: `${func}() → ${nameOf(toKey)}()`, key, toKey });
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Gets the rubric category of a problem from its field, problems found by
+ * checking the plan against the code are tagged with a "conformance" field.
+ * @param {{field: string}} problem
+ * @returns {string} the category id
+ */
+export function categorizeProblem({ field }) {
+    if (field.split(',').includes('conformance')) { return 'conformance'; }
+    field = field.replace(/\[\d+\]/g, '[]');
+    for (const [category, fields] of Object.entries(CATEGORY_FIELDS)) {
+        if (fields.includes(field)) { return category; }
+    }
+    return 'other';
+}
+
+/**
+ * Grades the plan based on its current problems.
+ * @param {*} model
+ * @param {object|boolean} rubric the rubric option (see getRubric())
+ * @returns {{points: number, score: number, deductions: {category: string, label: string,
+ *  errors: number, warnings: number, points: number}[], problems: object[]}}
+ *  the problems are those from collectProblems() with their category added
+ */
+export function gradePlan(model, rubric) {
+    rubric = getRubric(rubric);
+    const problems = collectProblems(model).map(problem => ({ ...problem, category: categorizeProblem(problem) }));
+    const deductions = Object.entries(rubric.categories).map(([category, { label, error, warning, max }]) => {
+        const errors = problems.filter(p => p.category === category && p.severity === 'error').length;
+        const warnings = problems.filter(p => p.category === category && p.severity === 'warning').length;
+        const points = Math.min(max, errors * error + warnings * warning);
+        return { category, label, errors, warnings, points };
+    });
+    const total = deductions.reduce((sum, d) => sum + d.points, 0);
+    return { points: rubric.points, score: Math.max(0, rubric.points - total), deductions, problems };
+}
+
+/**
+ * Creates a grade record for exporting.
+ * @param {*} model
+ * @param {object} grade the result of gradePlan()
+ * @returns {object} record with the plan id, authors, date, score, and the deductions and problems
+ */
+export function gradeRecord(model, grade) {
+    return {
+        plan: model.id,
+        authors: model.modelData.get('authors')?.toJSON() || [],
+        date: new Date().toISOString(),
+        score: grade.score,
+        points: grade.points,
+        deductions: Object.fromEntries(grade.deductions.map(d => [d.category, d.points])),
+        problems: grade.problems.map(({ severity, category, func, call, message }) => ({ severity, category, func, call, message })),
+    };
+}
+
+/**
+ * Converts grade records to CSV with one row per record.
+ * @param {object[]} records the results of gradeRecord()
+ * @returns {string} CSV text with a header row
+ */
+export function gradesToCSV(records) {
+    const categories = Object.keys(records[0]?.deductions || DEFAULT_RUBRIC.categories);
+    const header = ['plan', 'authors', 'date', 'score', 'points', 'errors', 'warnings', ...categories.map(c => `${c} deduction`)];
+    const rows = records.map(record => [
+        record.plan, record.authors.join('; '), record.date, record.score, record.points,
+        record.problems.filter(p => p.severity === 'error').length,
+        record.problems.filter(p => p.severity === 'warning').length,
+        ...categories.map(c => record.deductions[c] ?? 0),
+    ]);
+    return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,129 @@
+/**
+ * The "History" panel listing the named snapshots of the plan (see the
+ * snapshot methods of Model). Each snapshot can be previewed read-only,
+ * compared with the current plan or another snapshot, restored, branched into
+ * a separate plan, or deleted.
+ *
+ * The exported functions are:
+ *  - showHistory(model, options)
+ */
+
+import Swal from 'sweetalert2';
+
+import { Model } from './model.js';
+import { viewPlan } from './plan-viewer.js';
+import { showDiff } from './diff-view.js';
+import { escapeHtml } from './utils.js';
+
+import historyIcon from '../images/history.svg';
+
+function formatDate(date) {
+    return new Date(date).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Copies a snapshot into a new plan and opens it in a new tab. The new plan
+ * is saved in IndexedDB under a new plan id which is given in the URL.
+ * @param {*} model
+ * @param {{id: string, name: string}} snapshot
+ * @param {Window} tab the new tab, opened before anything is awaited so it isn't blocked as a popup
+ */
+async function branchSnapshot(model, snapshot, tab) {
+    const data = await model.getSnapshot(snapshot.id);
+    const planId = `${model.id}-${Date.now().toString(36)}`;
+    const branch = new Model(planId, data);
+    await branch.whenSynced; // the snapshot is loaded as the initial data since the plan is new
+    await branch.saveSnapshot(`Branched from "${snapshot.name}"`);
+    await branch.destroy(); // finishes saving before the new tab opens the plan
+    const url = new URL(window.location.href);
+    url.searchParams.set('plan', planId);
+    tab.location = url;
+}
+
+/**
+ * Shows the changes between a snapshot and the current plan or another
+ * snapshot, from the older one to the newer one.
+ * @param {*} model
+ * @param {{id: string, name: string, date: string}} snapshot
+ * @param {string} otherId the id of the other snapshot, or empty for the current plan
+ * @param {object} options
+ */
+async function compareSnapshot(model, snapshot, otherId, options) {
+    const other = otherId ? (await model.getSnapshots()).find(snapshot => snapshot.id === otherId) : null;
+    let before = { ...snapshot, data: await model.getSnapshot(snapshot.id) };
+    let after = other ? { ...other, data: await model.getSnapshot(other.id) } : { name: 'Current Plan', data: model.exportModel() };
+    if (other && other.date < snapshot.date) { [before, after] = [after, before]; }
+    showDiff(before.data, after.data, { ...options, title: `${before.name} → ${after.name}` });
+}
+
+/**
+ * Show the history panel.
+ * @param {*} model
+ * @param {object} options
+ */
+export function showHistory(model, options={}) {
+    Swal.fire({
+        theme: options.theme,
+        imageUrl: historyIcon,
+        imageWidth: "6em",
+        title: "History",
+        html: `<div class="func-planner-history">
+<form><input type="text" name="name" placeholder="Snapshot name, e.g. before office hours" required><button type="submit">Save Snapshot</button></form>
+<label>Compare with <select name="against"></select></label>
+<ul></ul>
+</div>`,
+        showConfirmButton: false,
+        showCloseButton: true,
+        didOpen: (popup) => {
+            const list = popup.querySelector('.func-planner-history ul');
+            const form = popup.querySelector('.func-planner-history form');
+            const against = popup.querySelector('.func-planner-history select');
+            async function update() {
+                const snapshots = (await model.getSnapshots()).reverse();
+                list.innerHTML = snapshots.length === 0 ? '<li>No snapshots yet.</li>' : snapshots.map(({ id, name, date }) =>
+                    `<li data-id="${escapeHtml(id)}"><span><strong>${escapeHtml(name)}</strong> ${formatDate(date)}</span>` +
+                    '<button data-action="preview">Preview</button><button data-action="compare">Compare</button>' +
+                    (model.readOnly ? '' : '<button data-action="restore">Restore</button>') +
+                    '<button data-action="branch">Branch</button><button data-action="delete">Delete</button></li>'
+                ).join('');
+                const selected = against.value;
+                against.innerHTML = '<option value="">the current plan</option>' + snapshots.map(({ id, name }) =>
+                    `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`).join('');
+                if (snapshots.some(snapshot => snapshot.id === selected)) { against.value = selected; }
+            }
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await model.saveSnapshot(form.elements.name.value.trim() || 'Snapshot');
+                form.reset();
+                update();
+            });
+            list.addEventListener('click', async (e) => {
+                const action = e.target.closest('button')?.dataset.action;
+                const id = e.target.closest('li')?.dataset.id;
+                if (!action || !id) { return; }
+                const tab = action === 'branch' ? window.open('', '_blank') : null;
+                const snapshot = (await model.getSnapshots()).find(snapshot => snapshot.id === id);
+                if (action === 'preview') {
+                    Swal.close();
+                    viewPlan(model.id, await model.getSnapshot(id), { ...options, title: `${snapshot.name} (${formatDate(snapshot.date)})` });
+                } else if (action === 'compare') {
+                    Swal.close();
+                    compareSnapshot(model, snapshot, against.value, options);
+                } else if (action === 'restore') {
+                    // keep the current plan so restoring never loses any work
+                    await model.saveSnapshot(`Before restoring "${snapshot.name}"`);
+                    await model.restoreSnapshot(id);
+                    Swal.close();
+                } else if (action === 'branch') {
+                    await branchSnapshot(model, snapshot, tab);
+                } else if (action === 'delete' && e.target.textContent !== 'Confirm Delete') {
+                    e.target.textContent = 'Confirm Delete'; // deleting cannot be undone, so it takes a second click
+                } else if (action === 'delete') {
+                    await model.deleteSnapshot(id);
+                    update();
+                }
+            });
+            update();
+        },
+    });
+}
@@ -5,7 +5,10 @@
 import Prism from "prismjs";
 import 'prismjs/components/prism-python.min.js';
 
-import { makeOption } from "./utils.js";
+import { makeOption, loadSVG } from "./utils.js";
+
+import addIcon from '../images/add.svg';
+import removeIcon from '../images/remove.svg';
 
 /**
  * Sets up a resizable inspector div next to the diagram div.
@@ -146,9 +149,11 @@ export function makeCheckbox(field, funcs) {
 }
 
 /**
- * Creates a textarea for a particular field in the data.
+ * Creates a textarea for a particular field in the data. If funcs includes
+ * setCursor and listenCursors (only when collaborating), the local cursor is
+ * shared and the cursors of other collaborators are shown in the textarea.
  * @param {string} field 
- * @param {{set: function, listen: function, listenRO: function}} funcs
+ * @param {{set: function, listen: function, listenRO: function, setCursor: function?, listenCursors: function?}} funcs
  * @param {object} attrs 
  * @returns {HTMLElement} the textarea element
  */
@@ -183,10 +188,98 @@ export function makeTextarea(field, funcs, attrs={}) {
         }
     });
     funcs.listenRO(field, (readOnly) => { textarea.readOnly = readOnly; });
+    if (funcs.setCursor && funcs.listenCursors) { setupRemoteCursors(textarea, field, funcs); }
 
     return textarea;
 }
 
+/**
+ * Shares the cursor position of a textarea with collaborators and shows their
+ * cursors on top of the textarea.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {string} field
+ * @param {{setCursor: function, listenCursors: function}} funcs
+ */
+function setupRemoteCursors(textarea, field, funcs) {
+    const sendCursor = () => { funcs.setCursor(field, textarea.selectionStart); };
+    for (const event of ['focus', 'input', 'keyup', 'click']) { textarea.addEventListener(event, sendCursor); }
+    textarea.addEventListener('blur', () => { funcs.setCursor(field, null); });
+
+    let cursors = [];
+    let carets = [];
+    function render() {
+        for (const caret of carets) { caret.remove(); }
+        carets = [];
+        if (!textarea.parentNode || !textarea.offsetParent) { return; } // not shown
+        for (const { name, color, index } of cursors) {
+            const coords = caretCoordinates(textarea, Math.min(index, textarea.value.length));
+            const top = coords.top - textarea.scrollTop;
+            const left = coords.left - textarea.scrollLeft;
+            if (top < 0 || top > textarea.clientHeight || left < 0 || left > textarea.clientWidth) { continue; }
+            const caret = document.createElement('div');
+            caret.className = 'remote-caret';
+            caret.style.top = `${textarea.offsetTop + top}px`;
+            caret.style.left = `${textarea.offsetLeft + left}px`;
+            caret.style.height = `${coords.height}px`;
+            caret.style.borderColor = color;
+            caret.title = name;
+            const label = document.createElement('span');
+            label.textContent = name;
+            label.style.backgroundColor = color;
+            caret.appendChild(label);
+            textarea.after(caret);
+            carets.push(caret);
+        }
+    }
+    textarea.addEventListener('input', render);
+    textarea.addEventListener('scroll', render);
+    funcs.listenCursors(field, (newCursors) => {
+        cursors = newCursors;
+        // wait for the textarea value to be updated and resized before positioning
+        setTimeout(render, 0);
+    });
+}
+
+const MIRROR_PROPERTIES = [
+    'boxSizing', 'width', 'height', 'overflowX', 'overflowY',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'lineHeight', 'fontFamily',
+    'textAlign', 'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing', 'tabSize',
+    'whiteSpace', 'overflowWrap', 'wordBreak',
+];
+
+/**
+ * Gets the coordinates of a character index within a textarea, relative to
+ * the top-left of the textarea's border box. This uses a hidden mirror div with
+ * the same styling as the textarea.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {number} index
+ * @returns {{top: number, left: number, height: number}}
+ */
+function caretCoordinates(textarea, index) {
+    const style = getComputedStyle(textarea);
+    const mirror = document.createElement('div');
+    for (const prop of MIRROR_PROPERTIES) { mirror.style[prop] = style[prop]; }
+    mirror.style.position = 'absolute';
+    mirror.style.visibility = 'hidden';
+    mirror.style.top = '0';
+    mirror.style.left = '-9999px';
+    mirror.textContent = textarea.value.slice(0, index);
+    const span = document.createElement('span');
+    span.textContent = textarea.value.slice(index) || '.';
+    mirror.appendChild(span);
+    document.body.appendChild(mirror);
+    const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+    const coords = {
+        top: span.offsetTop + parseFloat(style.borderTopWidth),
+        left: span.offsetLeft + parseFloat(style.borderLeftWidth),
+        height: lineHeight,
+    };
+    document.body.removeChild(mirror);
+    return coords;
+}
+
 /**
  * Creates a code editor for a particular field. If the field is read-only,
  * it creates a syntax-highlighted div instead of a textarea.
@@ -320,3 +413,25 @@ export function isReadOnly(data, type, options={}) {
     const ro =  data.get ? data.get('readOnly') : (data.readOnly !== undefined ? data.readOnly : data);
     return (ro === true || (Array.isArray(ro) && ro.includes(type)));
 }
+
+/**
+ * Create a button element for adding items, with appropriate styling and SVG icon.
+ * @returns {HTMLElement} The created add button element.
+ */
+export function makeAddButton(onclick = null) { return makeButton("add", onclick); }
+
+/**
+ * Create a button element for removing items, with appropriate styling and SVG icon.
+ * @returns {HTMLElement} The created remove button element.
+ */
+export function makeRemoveButton(onclick = null) { return makeButton("remove", onclick); }
+
+function makeButton(name, onclick = null) {
+    const button = document.createElement("div");
+    button.className = `func-button func-button-${name}`;
+    loadSVG(name === "remove" ? removeIcon : addIcon, button, name === "remove" ? "x" : "+");
+    if (onclick) {
+        button.addEventListener("click", onclick);
+    }
+    return button;
+}
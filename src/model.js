@@ -24,17 +24,84 @@
 
 import * as Y from 'yjs';
 import { IndexeddbPersistence } from 'y-indexeddb';
+import { WebsocketProvider } from 'y-websocket';
 import diff from 'fast-diff';
 
+import { SCHEMA_VERSION, migratePlan } from './plan-schema.js';
+import { deepEquals } from './utils.js';
+
 const MODEL_DATA_TEXTS = ['documentation', 'testDocumentation', 'globalCode'];
 const MODEL_DATA_ARRAYS = ['authors']; // NOTE: this assumes array of strings, not array of anything like in functions
 const FUNC_DATA_TEXTS = ['name', 'desc', 'code', 'testCode'];
 const FUNC_DATA_ARRAYS = ['params', 'returns'];
+const SNAPSHOTS_KEY = 'snapshots'; // key in the custom store of the IndexedDB database
+const REPLAY_KEY = 'replay'; // prefix of the keys of the replay chunks in the custom store of the IndexedDB database
+const REPLAY_CHUNK_SIZE = 100; // number of updates saved together in IndexedDB
+const REPLAY_MERGE_TIME = 1000; // ms within which updates are merged into a single replay step
+const REPLAY_SAVE_DELAY = 1000; // ms to wait for more updates before saving the replay
+const SERVER_TIMEOUT = 10000; // ms to wait for the plan server before giving up on a request
+const SERVER_SAVE_DELAY = 2000; // ms to wait for more changes before saving to the plan server
+const SERVER_RETRY_DELAY = 30000; // ms to wait before trying to save to the plan server again after it failed
+const COLLABORATION_SYNC_TIMEOUT = 5000; // ms to wait for the collaboration server before giving up on it for the initial load
+const COLLABORATOR_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324', '#469990', '#808000'];
+
+/**
+ * Gets the key of a call in the Yjs calls map. The value stored for each call
+ * is {from, to} so the key never has to be parsed. The same call always has
+ * the same key so that adding a call concurrently does not duplicate it.
+ * @param {string} from key of the from function
+ * @param {string} to key of the to function
+ * @returns {string}
+ */
+function callKey(from, to) { return JSON.stringify([from.toString(), to.toString()]); }
+
+/**
+ * Gets the from and to keys of an entry of the Yjs calls map. Plans saved
+ * before schema version 2 stored true for each call under the key
+ * "from-to" (when keys were always numbers).
+ * @param {string} key
+ * @param {object|boolean} value
+ * @returns {{from: string, to: string}}
+ */
+function callOf(key, value) {
+    if (typeof value === 'object') { return { from: value.from, to: value.to }; }
+    const [from, to] = key.split('-');
+    return { from, to };
+}
 
 export class Model {
-    constructor(id, initialData={}) {
+    /**
+     * @param {string} id unique identifier for the plan, used as the IndexedDB name
+     * @param {object|null} initialData initial model to load if no saved model
+     *  exists, or null to leave the model empty
+     * @param {object} options additional options
+     * @param {boolean} options.persist if false, the model is only kept in
+     *  memory instead of being saved to IndexedDB (defaults to true)
+     * @param {boolean} options.readOnly if true, the user interface does not
+     *  allow changing the model (see setReadOnly())
+     * @param {boolean} options.migrate if false, a plan saved by an older
+     *  version is left as is instead of being updated to the current schema
+     *  (defaults to true), e.g. when replaying recorded updates
+     * @param {object} options.collaboration if given, connects to a y-websocket
+     *  server so that all clients in the same room share the same model, the
+     *  initial data is only loaded once the room is known to be empty
+     * @param {string} options.collaboration.url websocket URL of the server
+     *  (e.g. 'ws://localhost:1234')
+     * @param {string} options.collaboration.room room name, defaults to the id
+     * @param {string} options.collaboration.name name shown to the other collaborators
+     * @param {string} options.collaboration.color color shown to the other
+     *  collaborators, defaults to one picked based on the client id
+     * @param {object} options.server if given, the model is also saved to a
+     *  plan server (see server/plan-server.js) so it can be loaded on other
+     *  computers, changes made elsewhere are merged in when saving
+     * @param {string} options.server.url URL of the server (e.g. 'http://localhost:1235')
+     * @param {string} options.server.token the user's token for the server
+     */
+    constructor(id, initialData={}, options={}) {
         this.synced = false;
         this.id = id;
+        this.implementation = null;
+        this.readOnly = options.readOnly ?? false;
         this.initialData = initialData;
         this.model = new Y.Doc();
 
@@ -51,27 +118,75 @@ export class Model {
         this.calls.observe((event) => { this.#callObserver(event); });
 
         // setup persistence
-        this.indexeddb = new IndexeddbPersistence(this.id, this.model); 
-        this.indexeddb.on('synced', () => {
+        this.indexeddb = options.persist === false ? null : new IndexeddbPersistence(this.id, this.model);
+        const loading = this.indexeddb ? [this.indexeddb.whenSynced] : [];
+        if (this.indexeddb) {
+            this.model.on('update', (update, origin) => {
+                if (origin !== this.indexeddb) { this.#recordUpdate(update); }
+            });
+        }
+
+        // setup collaboration
+        this.provider = null;
+        this.awareness = null;
+        this.connectionStatus = null;
+        if (options.collaboration) {
+            const { url, room, name, color } = options.collaboration;
+            this.provider = new WebsocketProvider(url, room || this.id, this.model);
+            this.connectionStatus = 'connecting';
+            this.provider.on('status', ({ status }) => {
+                this.connectionStatus = status;
+                this.#fireListeners(this.#listeners['status'], status);
+            });
+            this.awareness = this.provider.awareness;
+            this.setLocalUser(name || 'Anonymous', color);
+            this.awareness.on('change', () => {
+                this.#fireListeners(this.#listeners['presence'], this.getCollaborators());
+            });
+            // wait for the server so that we don't load the initial data on top of a shared plan
+            loading.push(whenProviderSynced(this.provider, COLLABORATION_SYNC_TIMEOUT));
+        }
+
+        // setup plan server
+        this.server = options.server ? { ...options.server } : null;
+        this.serverStatus = null;
+        this.submission = null;
+        if (this.server) {
+            loading.push(this.#loadFromServer());
+            this.model.on('update', (update, origin) => {
+                if (origin !== this.#serverOrigin && origin !== this.indexeddb) { this.#scheduleServerSave(SERVER_SAVE_DELAY); }
+            });
+        }
+
+        // resolves once the initial data has been loaded
+        this.whenSynced = Promise.all(loading).then(async () => {
             // if database is empty, load initial data
-            // TODO: if there is a server, then the server should be the source of truth instead?
-            if (this.functions.size === 0 && this.calls.size === 0) {
-                this.importModel(this.initialData);
+            // the plans from the collaboration and plan servers are already merged in, so this only happens
+            // if none of them have the plan (or the plan server can't be reached, then the new plan is
+            // merged with the server's when it is saved)
+            if (this.initialData) {
+                // a shared room may already have a plan, so wait until it is known to be empty
+                if (!this.provider || this.provider.synced) { this.#importInitialData(); }
+                else {
+                    const onSynced = (synced) => {
+                        if (!synced) { return; }
+                        this.provider.off('synced', onSynced);
+                        this.#importInitialData();
+                    };
+                    this.provider.on('synced', onSynced);
+                }
             }
             this.#fireListeners(this.#listeners['synced']);
             this.synced = true;
 
-            // Migrate authors from old string format to new array format if needed
-            console.log(`Model ${this.id} synced with IndexedDB, current state:`, this.exportModel());
-            const authors = this.modelData.get('authors');
-            if (typeof authors === 'string' || authors instanceof Y.Text) {
-                this.updateModelData('authors', authors);
-            }
+            if (this.indexeddb) { console.log(`Model ${this.id} synced with IndexedDB, current state:`, this.exportModel()); }
+            if (options.migrate !== false) { this.#migrate(); } // plans saved by older versions are updated to the current schema
+            if (this.indexeddb) { await this.#startRecording(); }
         });
 
         // setup undo/redo after initial data is loaded
         this.undoManager = new Y.UndoManager([this.modelData, this.functions, this.calls], {
-            untrackedOrigins: new Set([this.indexeddb]) // don't track changes from persistence (this should be the default anyways)
+            untrackedOrigins: new Set(this.indexeddb ? [this.indexeddb] : []) // don't track changes from persistence (this should be the default anyways)
         });
     }
 
@@ -81,23 +196,24 @@ export class Model {
      */
     exportModel() {
         return {
+            schemaVersion: SCHEMA_VERSION,
             ...this.modelData.toJSON(),
             functions: Array.from(this.functions.entries()).map(([key, ymap]) => {
                 const func = ymap.toJSON();
                 func.key = key;
                 return func;
             }),
-            calls: Array.from(this.calls.keys()).map(callKey => callKey.split('-')).map(
-                ([from, to]) => ({ from, to })
-            ),
+            calls: Array.from(this.calls.entries()).map(([key, value]) => callOf(key, value)),
         };
     }
 
     /**
-     * Import model data from a plain JSON object.
+     * Import model data from a plain JSON object. Data from older versions of
+     * the schema is migrated first (see plan-schema.js).
      * @param {object} data imported model data
      */
     importModel(data) {
+        data = migratePlan(data || {});
         this.model.transact(() => {
             // TODO: temporarily disable observers while importing?
             this.modelData.clear();
@@ -120,12 +236,174 @@ export class Model {
 
             // import calls
             for (const {from, to} of (data.calls || [])) {
-                const callKey = `${from}-${to}`;
-                this.calls.set(callKey, true);
+                this.calls.set(callKey(from, to), { from, to });
             }
         });
     }
 
+    /**
+     * Export the whole Yjs state of the plan. Unlike exportModel() this is
+     * lossless: it includes the editing history of the document (what each
+     * client added and deleted) so copies of the same plan can be merged.
+     * The undo stack is not part of the document and is not included.
+     * @returns {Uint8Array} a Yjs update
+     */
+    exportState() {
+        return Y.encodeStateAsUpdate(this.model);
+    }
+
+    /**
+     * Checks if a Yjs update from exportState() is from a copy of this plan,
+     * i.e. if the two share any history. Merging the state of an unrelated
+     * plan keeps the functions of both but only one plan's documentation.
+     * @param {Uint8Array} update
+     * @returns {boolean}
+     */
+    sharesHistory(update) {
+        const clients = Y.decodeStateVector(Y.encodeStateVector(this.model));
+        return [...Y.decodeStateVector(Y.encodeStateVectorFromUpdate(update)).keys()].some(client => clients.has(client));
+    }
+
+    /**
+     * Import a Yjs update from exportState(). It is merged with the current
+     * state instead of replacing it, so two copies of the same plan edited
+     * separately (e.g. offline) are reconciled. Plans saved by older versions
+     * are migrated afterwards.
+     * @param {Uint8Array} update
+     * @throws {Error} if the update is not a plan
+     */
+    importState(update) {
+        const doc = new Y.Doc();
+        try {
+            try { Y.applyUpdate(doc, update); }
+            catch (e) { throw new Error(`The file is not a plan: ${e.message}`); }
+            if (doc.getMap('functions').size === 0) { throw new Error('The file is not a plan: it has no functions.'); }
+        } finally { doc.destroy(); }
+        Y.applyUpdate(this.model, update);
+        this.#migrate();
+    }
+
+    /**
+     * Finds the functions of another plan that have the same name as a
+     * function in this model, i.e. those that need to be resolved before the
+     * plan is merged in (see mergeModel()).
+     * @param {object} data the plan to merge in the format of exportModel()
+     * @returns {{key: string, name: string, existingKey: string}[]} the
+     *  imported function and the key of the existing function with its name
+     */
+    findMergeConflicts(data) {
+        const existing = new Map();
+        for (const [key, func] of this.functions.entries()) {
+            const name = func.get('name')?.toString().trim();
+            if (name && !existing.has(name)) { existing.set(name, key); }
+        }
+        return (data.functions || []).map(func => ({ key: func.key.toString(), name: func.name?.trim() || '' }))
+            .filter(({ name }) => existing.has(name))
+            .map(conflict => ({ ...conflict, existingKey: existing.get(conflict.name) }));
+    }
+
+    /**
+     * Merges another plan into the model. The imported functions are given new
+     * keys. Imported functions with the same name as
+     * an existing function (see findMergeConflicts()) are handled according to
+     * the resolutions:
+     *  - 'rename' (default): added with a number appended to the name
+     *  - 'skip': not added, calls to and from it use the existing function
+     *  - 'replace': the existing function is replaced, keeping its calls
+     * The documentation and code of this model are kept and the authors are
+     * combined.
+     * @param {object} data the plan to merge in the format of exportModel()
+     * @param {object} options
+     * @param {object} options.resolutions 'rename', 'skip', or 'replace' for
+     *  the key of each imported function whose name conflicts
+     * @param {string|null} options.caller key of an existing function that is
+     *  made to call each of the added functions that no imported function calls
+     * @returns {Map<string, string>} the key in the model of each imported function
+     */
+    mergeModel(data, { resolutions={}, caller=null }={}) {
+        data = migratePlan(data);
+        const conflicts = new Map(this.findMergeConflicts(data).map(conflict => [conflict.key, conflict]));
+        const names = new Set(Array.from(this.functions.values()).map(func => func.get('name')?.toString().trim()));
+        const uniqueName = (name) => {
+            let i = 2;
+            while (names.has(`${name}${i}`)) { i++; }
+            return `${name}${i}`;
+        };
+
+        const keys = new Map(); // imported key -> key in the model
+        const added = new Set();
+        this.model.transact(() => {
+            for (const { key, ...func } of data.functions) {
+                const conflict = conflicts.get(key);
+                const resolution = conflict ? resolutions[conflict.key] ?? 'rename' : null;
+                if (resolution === 'skip' || resolution === 'replace') {
+                    keys.set(key, conflict.existingKey);
+                    if (resolution === 'replace') { this.functions.set(conflict.existingKey, this.convertFuncData(func)); }
+                    continue;
+                }
+                if (resolution === 'rename') { func.name = uniqueName(conflict.name); }
+                names.add(func.name?.trim());
+                const newKey = this.#newFuncKey();
+                keys.set(key, newKey);
+                added.add(newKey);
+                this.functions.set(newKey, this.convertFuncData(func));
+            }
+            for (const call of data.calls) {
+                const from = keys.get(call.from), to = keys.get(call.to);
+                this.calls.set(callKey(from, to), { from, to });
+            }
+            if (caller != null && this.functions.has(caller)) {
+                const called = new Set(data.calls.map(({ to }) => keys.get(to)));
+                for (const key of added) {
+                    if (!called.has(key) && key !== caller) { this.calls.set(callKey(caller, key), { from: caller, to: key }); }
+                }
+            }
+            const authors = this.modelData.get('authors')?.toJSON() || [];
+            const newAuthors = (data.authors || []).filter(author => !authors.includes(author));
+            if (newAuthors.length) { this.updateModelData('authors', [...authors, ...newAuthors]); }
+        });
+        return keys;
+    }
+
+    /**
+     * Migrates the model to the current schema version if it was saved by an
+     * older version of the planner. Only the parts that change are updated.
+     */
+    #migrate() {
+        const version = this.modelData.get('schemaVersion') ?? 0;
+        if (version >= SCHEMA_VERSION) { return; }
+        const { functions: oldFuncs, calls: oldCalls, ...oldData } = { ...this.exportModel(), schemaVersion: version };
+        const { functions, calls, ...data } = migratePlan({ ...oldData, functions: oldFuncs, calls: oldCalls });
+        this.model.transact(() => {
+            for (const prop of Object.keys(oldData)) { if (!(prop in data)) { this.modelData.delete(prop); } }
+            for (const [prop, value] of Object.entries(data)) {
+                if (!deepEquals(value, oldData[prop])) { this.updateModelData(prop, value); }
+            }
+            const keys = new Set(functions.map(func => func.key.toString()));
+            for (const { key } of oldFuncs) { if (!keys.has(key)) { this.functions.delete(key); } }
+            for (const func of functions) {
+                const { key, ...funcData } = func;
+                const old = oldFuncs.find(f => f.key === key.toString());
+                if (!deepEquals(func, old)) { this.functions.set(key.toString(), this.convertFuncData(funcData)); }
+            }
+            // calls saved in an old format are stored again under their current keys
+            const callKeys = new Map(calls.map(({ from, to }) => [callKey(from, to), { from, to }]));
+            for (const [key, value] of Array.from(this.calls.entries())) {
+                if (!callKeys.has(key) || typeof value !== 'object') { this.calls.delete(key); }
+            }
+            for (const [key, call] of callKeys) { if (!this.calls.has(key)) { this.calls.set(key, call); } }
+        });
+    }
+
+    /**
+     * Loads the initial data if the plan is empty. The functions keep the
+     * keys from the initial data, so if collaborators joining an empty room
+     * at the same time both load it, their copies merge into one.
+     */
+    #importInitialData() {
+        if (this.functions.size === 0 && this.calls.size === 0) { this.importModel(this.initialData); }
+    }
+
     /**
      * Reset the model to the initial data.
      */
@@ -133,10 +411,51 @@ export class Model {
         this.importModel(this.initialData);
     }
 
+    /**
+     * Stop saving, syncing, and collaborating, and release the Yjs document.
+     * Pending changes are saved first, including by the 'destroy' listeners.
+     * The model cannot be used afterwards.
+     * @returns {Promise<void>} the same promise if called again
+     */
+    destroy() {
+        this.#destroyed ??= this.#destroy();
+        return this.#destroyed;
+    }
+    #destroyed = null;
+    async #destroy() {
+        await this.whenSynced; // so nothing is still loading into the document
+        await Promise.all((this.#listeners['destroy'] || []).map(callback => callback()));
+        if (this.#serverSaveTimeout !== null) { await this.saveToServer(); }
+        clearTimeout(this.#serverSaveTimeout);
+        if (this.indexeddb && this.#replayPending === null) { await this.#saveReplay(); }
+        this.provider?.destroy();
+        this.undoManager.destroy();
+        await this.indexeddb?.destroy(); // only closes the database
+        this.model.destroy();
+    }
+
     #listeners = {};
     /**
      * Add a general listener for model events. The supported events are:
      *  - 'synced': when the model has finished its initial syncing
+     *  - 'status': when the connection status to the collaboration server
+     *    changes, with signature (status) where status is 'connecting',
+     *    'connected', or 'disconnected'
+     *  - 'presence': when the collaborators or their selections/cursors
+     *    change, with signature (collaborators) (see getCollaborators())
+     *  - 'implementation': when the implementation the plan is checked
+     *    against changes, with signature (implementation) (see setImplementation())
+     *  - 'readOnly': when the model becomes read-only or editable, with
+     *    signature (readOnly) (see setReadOnly())
+     *  - 'snapshots': when a snapshot is saved or deleted, with signature
+     *    (snapshots) (see getSnapshots())
+     *  - 'server': when the status of saving to the plan server changes, with
+     *    signature (status) where status is 'loading', 'saving', 'saved',
+     *    'submitted', 'unauthorized', or 'error' (see setServerToken())
+     *  - 'submission': when the plan server says whether the plan has been
+     *    submitted, with signature (submission) (see submit())
+     *  - 'destroy': when the model is being destroyed, with signature () and
+     *    returning a promise if anything needs to be saved first (see destroy())
      * @param {string} event 
      * @param {function} callback 
      */
@@ -164,6 +483,99 @@ export class Model {
     }
 
 
+    ///// Presence /////
+    // Each collaborator's awareness state has:
+    //    user ({name, color})
+    //    selection (key of the selected function or null)
+    //    cursor ({key, field, pos} where key is null for the model data and pos
+    //            is a Yjs relative position in that text, or null)
+
+    /**
+     * Set the name and color of the local user shown to other collaborators.
+     * Does nothing when not collaborating.
+     * @param {string} name
+     * @param {string|null} color optional color, defaults to one based on the client id
+     */
+    setLocalUser(name, color=null) {
+        if (!this.awareness) { return; }
+        color = color || COLLABORATOR_COLORS[this.awareness.clientID % COLLABORATOR_COLORS.length];
+        this.awareness.setLocalStateField('user', { name, color });
+    }
+
+    /**
+     * Get the local user's name and color.
+     * @returns {{name: string, color: string}|null} null when not collaborating
+     */
+    getLocalUser() {
+        return this.awareness?.getLocalState()?.user ?? null;
+    }
+
+    /**
+     * Set the function that the local user has selected.
+     * @param {string|null} key key of the selected function or null for none
+     */
+    setLocalSelection(key) {
+        this.awareness?.setLocalStateField('selection', key ?? null);
+    }
+
+    /**
+     * Set the position of the local user's cursor in a text property.
+     * @param {string|null} key key of the function or null for the model data
+     * @param {string} property text property name (e.g. 'desc' or 'documentation')
+     * @param {number|null} index index of the cursor in the text or null to clear it
+     */
+    setLocalCursor(key, property, index) {
+        if (!this.awareness) { return; }
+        const ytext = this.#getText(key, property);
+        if (index == null || !ytext) {
+            this.awareness.setLocalStateField('cursor', null);
+        } else {
+            const pos = Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, index));
+            this.awareness.setLocalStateField('cursor', { key: key ?? null, field: property, pos });
+        }
+    }
+
+    /**
+     * Get all of the other collaborators connected to the same plan.
+     * @returns {{clientID: number, user: {name: string, color: string},
+     *  selection: string|null, cursor: object|null}[]}
+     */
+    getCollaborators() {
+        if (!this.awareness) { return []; }
+        const collaborators = [];
+        this.awareness.getStates().forEach((state, clientID) => {
+            if (clientID !== this.awareness.clientID && state.user) {
+                collaborators.push({ clientID, user: state.user, selection: state.selection ?? null, cursor: state.cursor ?? null });
+            }
+        });
+        return collaborators;
+    }
+
+    /**
+     * Get the cursors of other collaborators in a text property.
+     * @param {string|null} key key of the function or null for the model data
+     * @param {string} property text property name
+     * @returns {{name: string, color: string, index: number}[]}
+     */
+    getRemoteCursors(key, property) {
+        const ytext = this.#getText(key, property);
+        if (!ytext) { return []; }
+        const cursors = [];
+        for (const { user, cursor } of this.getCollaborators()) {
+            if (!cursor || cursor.key !== (key ?? null) || cursor.field !== property) { continue; }
+            const abs = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(cursor.pos), this.model);
+            if (abs && abs.type === ytext) { cursors.push({ ...user, index: abs.index }); }
+        }
+        return cursors;
+    }
+
+    #getText(key, property) {
+        const map = key == null ? this.modelData : this.functions.get(key);
+        const ytext = map?.get(property);
+        return ytext instanceof Y.Text ? ytext : null;
+    }
+
+
     ///// Model Data /////
 
     #modelDataListeners = {};
@@ -290,6 +702,311 @@ export class Model {
         }
     }
 
+    /**
+     * Get the recorded problems with the model data.
+     * @returns {Array} array of [severity, field, message]
+     */
+    getModelDataProblems() { return this.#modelDataProblems.slice(); }
+
+
+    ///// Read-Only /////
+
+    /**
+     * Set whether the whole model is read-only. This is only enforced by the
+     * user interface (the diagram, inspectors, and buttons), the model itself
+     * can still be changed. Unlike the readOnly property of the model data or
+     * functions, this is not persisted and applies even in admin mode.
+     * @param {boolean} readOnly
+     */
+    setReadOnly(readOnly) {
+        if (this.readOnly === readOnly) { return; }
+        this.readOnly = readOnly;
+        this.#fireListeners(this.#listeners['readOnly'], readOnly);
+    }
+
+
+    ///// Snapshots /////
+
+    #snapshots = []; // only used when not persisted
+    async #loadSnapshots() {
+        return this.indexeddb ? (await this.indexeddb.get(SNAPSHOTS_KEY)) || [] : this.#snapshots;
+    }
+    async #storeSnapshots(snapshots) {
+        if (this.indexeddb) { await this.indexeddb.set(SNAPSHOTS_KEY, snapshots); }
+        else { this.#snapshots = snapshots; }
+        this.#fireListeners(this.#listeners['snapshots'], snapshots.map(({ data, ...info }) => info));
+    }
+
+    /**
+     * Get the named snapshots of the model, oldest first. Snapshots are stored
+     * with the model in IndexedDB (or in memory if not persisted) and are not
+     * shared with collaborators.
+     * @returns {Promise<{id: string, name: string, date: string}[]>}
+     */
+    async getSnapshots() {
+        return (await this.#loadSnapshots()).map(({ data, ...info }) => info);
+    }
+
+    /**
+     * Save a snapshot of the current model.
+     * @param {string} name
+     * @returns {Promise<{id: string, name: string, date: string}>} the new snapshot
+     */
+    async saveSnapshot(name) {
+        const snapshots = await this.#loadSnapshots();
+        const snapshot = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name, date: new Date().toISOString(), data: this.exportModel(),
+        };
+        await this.#storeSnapshots([...snapshots, snapshot]);
+        const { data, ...info } = snapshot;
+        return info;
+    }
+
+    /**
+     * Get the model data of a snapshot.
+     * @param {string} id
+     * @returns {Promise<object|null>} the data in the same format as exportModel()
+     */
+    async getSnapshot(id) {
+        return (await this.#loadSnapshots()).find(snapshot => snapshot.id === id)?.data ?? null;
+    }
+
+    /**
+     * Delete a snapshot.
+     * @param {string} id
+     */
+    async deleteSnapshot(id) {
+        await this.#storeSnapshots((await this.#loadSnapshots()).filter(snapshot => snapshot.id !== id));
+    }
+
+    /**
+     * Replace the current model with a snapshot. This can be undone.
+     * @param {string} id
+     */
+    async restoreSnapshot(id) {
+        const data = await this.getSnapshot(id);
+        if (!data) { return; }
+        this.undoManager.stopCapturing(); // so that undo only reverts the restore
+        this.importModel(data);
+    }
+
+
+    ///// Replay /////
+
+    // The updates to the Yjs document are recorded with when they happened so
+    // that the construction of the plan can be played back (see replay-view.js).
+    // They are saved in chunks in IndexedDB since there can be a lot of them.
+    #replayChunk = 0; // index of the chunk being recorded
+    #replayTail = []; // updates in the chunk being recorded
+    #replayPending = []; // updates from before the recording was loaded
+    #replaySaveTimeout = null;
+    async #startRecording() {
+        const pending = this.#replayPending;
+        const chunks = (await this.indexeddb.get(`${REPLAY_KEY}-chunks`)) || 0;
+        this.#replayPending = null;
+        if (chunks > 0) {
+            this.#replayChunk = chunks - 1;
+            this.#replayTail = (await this.indexeddb.get(`${REPLAY_KEY}-${chunks - 1}`)) || [];
+            for (const { time, update } of pending) { this.#recordUpdate(update, time); }
+        } else {
+            // the first step has everything from before the recording started
+            this.#recordUpdate(Y.encodeStateAsUpdate(this.model));
+            await this.#saveReplay();
+        }
+    }
+    #recordUpdate(update, time=Date.now()) {
+        if (this.#replayPending) { this.#replayPending.push({ time, update }); return; }
+        const last = this.#replayTail[this.#replayTail.length - 1];
+        if (last && time - last.time < REPLAY_MERGE_TIME) {
+            last.update = Y.mergeUpdates([last.update, update]);
+        } else {
+            if (this.#replayTail.length >= REPLAY_CHUNK_SIZE) {
+                this.#saveReplay(); // the full chunk is no longer changed
+                this.#replayChunk++;
+                this.#replayTail = [];
+            }
+            this.#replayTail.push({ time, update });
+        }
+        clearTimeout(this.#replaySaveTimeout);
+        this.#replaySaveTimeout = setTimeout(() => { this.#saveReplay(); }, REPLAY_SAVE_DELAY);
+    }
+    async #saveReplay() {
+        clearTimeout(this.#replaySaveTimeout);
+        const chunk = this.#replayChunk;
+        await this.indexeddb.set(`${REPLAY_KEY}-${chunk}`, this.#replayTail);
+        await this.indexeddb.set(`${REPLAY_KEY}-chunks`, chunk + 1);
+    }
+
+    /**
+     * Get the recorded updates to the model, oldest first. The first update
+     * has the entire model from when the recording started. Updates are only
+     * recorded when the model is persisted and are not shared with
+     * collaborators (but their changes are recorded).
+     * @returns {Promise<{time: number, update: Uint8Array}[]>} the updates
+     *  along with when they happened (in ms since the epoch)
+     */
+    async getReplay() {
+        if (!this.indexeddb) { return []; }
+        await this.whenSynced;
+        const chunks = [];
+        for (let i = 0; i < this.#replayChunk; i++) {
+            chunks.push((await this.indexeddb.get(`${REPLAY_KEY}-${i}`)) || []);
+        }
+        return chunks.flat().concat(this.#replayTail.map(step => ({ ...step })));
+    }
+
+
+    ///// Plan Server /////
+
+    // The whole model is sent to the server each time it is saved and the
+    // server replies with the model merged with what it already had, so
+    // changes made on another computer (even while offline) are not lost.
+    // Once the plan is submitted the server no longer accepts changes to it
+    // until an instructor reopens it.
+    #serverOrigin = Symbol('server'); // transaction origin of the changes from the server
+    #serverSaveTimeout = null;
+    #setServerStatus(status) {
+        this.serverStatus = status;
+        this.#fireListeners(this.#listeners['server'], status);
+    }
+    async #serverRequest(method, path='', body=null, contentType='application/octet-stream') {
+        const { url, token } = this.server;
+        const response = await fetch(`${url.replace(/\/$/, '')}/api/plans/${encodeURIComponent(this.id)}${path}`, {
+            method, body,
+            headers: { 'Authorization': `Bearer ${token || ''}`, 'Content-Type': contentType },
+            signal: AbortSignal.timeout(SERVER_TIMEOUT),
+        });
+        if (response.status === 401) { this.#setServerStatus('unauthorized'); return null; }
+        if (response.status === 404) { return null; }
+        if (response.status === 423) { await this.#loadSubmission(); return null; } // submitted elsewhere
+        if (!response.ok) { throw new Error(`Plan server responded with ${response.status} ${response.statusText}: ${await response.text()}`); }
+        return response;
+    }
+    async #loadFromServer() {
+        this.#setServerStatus('loading');
+        try {
+            const response = await this.#serverRequest('GET');
+            if (response) { Y.applyUpdate(this.model, new Uint8Array(await response.arrayBuffer()), this.#serverOrigin); }
+            await this.#loadSubmission();
+            if (this.serverStatus === 'loading') { this.#setServerStatus('saved'); }
+        } catch (e) {
+            // the plan can still be edited (and is saved locally), it will be saved to the server later
+            console.error('Cannot load the plan from the server:', e);
+            this.#setServerStatus('error');
+            this.#scheduleServerSave(SERVER_RETRY_DELAY);
+        }
+    }
+    async #loadSubmission() {
+        const response = await this.#serverRequest('GET', '/submission');
+        this.#setSubmission(response ? await response.json() : null);
+    }
+    #readOnlyBeforeSubmission = null; // restored when an instructor reopens the plan
+    #setSubmission(submission) {
+        const wasSubmitted = !!this.submission;
+        this.submission = submission;
+        if (submission && !wasSubmitted) {
+            this.#readOnlyBeforeSubmission = this.readOnly;
+            this.setReadOnly(true);
+            this.#setServerStatus('submitted');
+        } else if (!submission && wasSubmitted) {
+            this.setReadOnly(this.#readOnlyBeforeSubmission);
+            this.#setServerStatus('saved');
+        }
+        this.#fireListeners(this.#listeners['submission'], submission);
+    }
+    #scheduleServerSave(delay) {
+        clearTimeout(this.#serverSaveTimeout);
+        this.#serverSaveTimeout = setTimeout(() => { this.saveToServer(); }, delay);
+    }
+
+    /**
+     * Save the model to the plan server now instead of waiting. The model is
+     * also saved automatically shortly after each change.
+     * @returns {Promise<boolean>} true if the model was saved
+     */
+    async saveToServer() {
+        if (!this.server || this.submission) { return false; }
+        clearTimeout(this.#serverSaveTimeout);
+        this.#serverSaveTimeout = null;
+        this.#setServerStatus('saving');
+        try {
+            const response = await this.#serverRequest('PUT', '', Y.encodeStateAsUpdate(this.model));
+            if (!response) { return false; }
+            Y.applyUpdate(this.model, new Uint8Array(await response.arrayBuffer()), this.#serverOrigin);
+            this.#setServerStatus('saved');
+            return true;
+        } catch (e) {
+            console.error('Cannot save the plan to the server:', e);
+            this.#setServerStatus('error');
+            this.#scheduleServerSave(SERVER_RETRY_DELAY);
+            return false;
+        }
+    }
+
+    /**
+     * Change the token used for the plan server (e.g. after the server said
+     * the previous one was not authorized), then load the plan from the
+     * server again and save the model with it.
+     * @param {string} token
+     * @returns {Promise<boolean>} true if the model was saved
+     */
+    async setServerToken(token) {
+        if (!this.server) { return false; }
+        this.server.token = token;
+        await this.#loadFromServer();
+        return this.saveToServer();
+    }
+
+    /**
+     * Check with the plan server whether the plan is still submitted, e.g.
+     * after an instructor reopened it, which makes it editable again.
+     * @returns {Promise<object|null>} the submission or null if not submitted
+     */
+    async refreshSubmission() {
+        if (this.server) {
+            try { await this.#loadSubmission(); }
+            catch (e) { console.error('Cannot check the submission on the server:', e); }
+        }
+        return this.submission;
+    }
+
+    /**
+     * Submit the plan to the plan server. The plan is saved first, then the
+     * server keeps it as submitted and no longer accepts changes to it (until
+     * an instructor reopens it), so the model becomes read-only. A snapshot
+     * of the submitted plan is also saved.
+     * @param {object} details recorded with the submission, e.g. the numbers
+     *  of errors and warnings
+     * @returns {Promise<object>} the submission, with when it was submitted
+     * @throws {Error} if the plan could not be saved or submitted
+     */
+    async submit(details={}) {
+        if (!this.server) { throw new Error('The plan is not saved to a server.'); }
+        if (this.submission) { throw new Error('The plan has already been submitted.'); }
+        if (!await this.saveToServer()) { throw new Error('The plan could not be saved to the server.'); }
+        const response = await this.#serverRequest('POST', '/submission', JSON.stringify(details), 'application/json');
+        if (!response) { throw new Error('The plan could not be submitted.'); }
+        const submission = await response.json();
+        this.#setSubmission(submission);
+        if (this.indexeddb) { await this.saveSnapshot('Submitted'); }
+        return submission;
+    }
+
+
+    ///// Implementation /////
+
+    /**
+     * Set the implementation of the plan (Python code that has been parsed
+     * with parsePython()) that the plan is checked against. This is not
+     * persisted or shared with collaborators.
+     * @param {object|null} implementation the parsed code or null to stop checking
+     */
+    setImplementation(implementation) {
+        this.implementation = implementation;
+        this.#fireListeners(this.#listeners['implementation'], implementation);
+    }
+
 
     ///// Functions /////
 
@@ -323,10 +1040,10 @@ export class Model {
         this.#fireListeners(this.#funcListeners['linkProblems'], key, 'linkProblems', problems);
     }
     #funcAddListeners = [];
-    #fireFuncAddListeners(key) {
+    #fireFuncAddListeners(key, local=true) {
         const data = this.functions.get(key).toJSON();
         delete data.isTrusted;
-        this.#fireListeners(this.#funcAddListeners, key, data);
+        this.#fireListeners(this.#funcAddListeners, key, data, local);
     }
     #funcRemoveListeners = [];
     #fireFuncRemoveListeners(key) {
@@ -335,8 +1052,9 @@ export class Model {
     #funcObserver(events) {
         for (const event of events) {
             if (event.target === this.functions) {
+                const local = event.transaction.local;
                 for (const [key, {action, oldValue}] of event.changes.keys) {
-                    if (action === 'add') { this.#fireFuncAddListeners(key); }
+                    if (action === 'add') { this.#fireFuncAddListeners(key, local); }
                     else if (action === 'delete') { this.#fireFuncRemoveListeners(key); }
                     else if (action === 'update') {
                         // empty function to non-empty function (seen during loading)
@@ -345,7 +1063,7 @@ export class Model {
                             console.warn(action, key, oldValue?.toJSON(), "->", this.functions.get(key)?.toJSON());
                         }
                         this.#fireFuncRemoveListeners(key);
-                        this.#fireFuncAddListeners(key);
+                        this.#fireFuncAddListeners(key, local);
                     }
                 }
             } else if (event.path.length === 1) {
@@ -390,7 +1108,8 @@ export class Model {
      * Add a listener for when a function is added. The addition can come from
      * anywhere (Yjs or local updates).
      * @param {function} callback function to call when the function is added,
-     *  with signature (key, data).
+     *  with signature (key, data, local) where local is false if the function
+     *  was added by another collaborator.
      */
     addFuncAddListener(callback) { this.#funcAddListeners.push(callback); }
 
@@ -402,16 +1121,28 @@ export class Model {
      */
     addFuncRemoveListener(callback) { this.#funcRemoveListeners.push(callback); }
 
+    #keyCounter = 0;
+    /**
+     * Makes a key for a new function. Keys are the Yjs client ID (in base 36)
+     * followed by a counter so that collaborators adding functions at the same
+     * time never get the same key.
+     * @returns {string}
+     */
+    #newFuncKey() {
+        let key;
+        do { key = `${this.model.clientID.toString(36)}_${this.#keyCounter++}`; } while (this.functions.has(key));
+        return key;
+    }
+
     /**
      * Add a new function to the model.
      * @param {object} data data for the new function, not including the key
+     * @returns {string} the key of the new function
      */
     addFunc(data={}) {
-        // ensure unique key
-        const keys = Array.from(this.functions.keys()).map(x => parseInt(x));
-        const key = (Math.max(-1, ...keys) + 1).toString();
-        // add to model
+        const key = this.#newFuncKey();
         this.functions.set(key, this.convertFuncData(data));
+        return key;
     }
 
     /**
@@ -448,10 +1179,10 @@ export class Model {
     removeFunc(key) {
         this.model.transact(() => {
             for (const other of this.calledFunctions[key] || []) {
-                this.calls.delete(`${key}-${other}`);
+                this.calls.delete(callKey(key, other));
             }
             for (const other of this.callingFunctions[key] || []) {
-                this.calls.delete(`${other}-${key}`);
+                this.calls.delete(callKey(other, key));
             }
             this.functions.delete(key);
         });
@@ -465,10 +1196,10 @@ export class Model {
     removeFuncs(keys) {
         this.model.transact(() => {
             // TODO: utilize calledFunctions and callingFunctions maps
-            this.calls.forEach((_, callKey) => {
-                const [from, to] = callKey.split('-');
+            this.calls.forEach((value, key) => {
+                const { from, to } = callOf(key, value);
                 if (keys.includes(from) || keys.includes(to)) {
-                    this.calls.delete(callKey);
+                    this.calls.delete(key);
                 }
             });
             for (const key of keys) { this.functions.delete(key); }
@@ -670,7 +1401,7 @@ export class Model {
     }
     #callProblems = {};
     #fireCallProblems(from, to) {
-        const problems = this.#callProblems[`${from}-${to}`] ?? [];
+        const problems = this.#callProblems[callKey(from, to)] ?? [];
         this.#fireListeners(this.#callListeners, 'problems', from, to, problems);
     }
     #push(arr, key, item) {
@@ -682,21 +1413,17 @@ export class Model {
             arr[key] = arr[key].filter(x => x !== item);
         }
     }
-    #addCall(key) {
-        const [from, to] = key.split('-');
+    #addCall({ from, to }) {
         this.#push(this.calledFunctions, from, to);
         this.#push(this.callingFunctions, to, from);
         this.#fireCallListeners('add', null, null, from, to);
     }
-    #deleteCall(key) {
-        const [from, to] = key.split('-');
+    #deleteCall({ from, to }) {
         this.#remove(this.calledFunctions, from, to);
         this.#remove(this.callingFunctions, to, from);
         this.#fireCallListeners('delete', from, to, null, null);
     }
-    #updateCall(oldKey, newKey) {
-        const [oldFrom, oldTo] = oldKey.split('-');
-        const [newFrom, newTo] = newKey.split('-');
+    #updateCall({ from: oldFrom, to: oldTo }, { from: newFrom, to: newTo }) {
         this.#remove(this.calledFunctions, oldFrom, oldTo);
         this.#remove(this.callingFunctions, oldTo, oldFrom);
         this.#push(this.calledFunctions, newFrom, newTo);
@@ -704,19 +1431,14 @@ export class Model {
         this.#fireCallListeners('update', oldFrom, oldTo, newFrom, newTo);
     }
     #callObserver(event) {
-        let lastDelete = null; // used to track delete + add as update
+        let deleted = [], added = [];
         for (const [key, {action, oldValue}] of event.changes.keys) {
             if (action === 'add') {
-                if (lastDelete !== null) {
-                    // treat as update
-                    this.#updateCall(lastDelete, key);
-                    lastDelete = null;
-                } else { this.#addCall(key); }
+                added.push(callOf(key, this.calls.get(key)));
             } else if (action === 'delete') {
-                if (lastDelete !== null) { this.#deleteCall(lastDelete); } // fire previous delete
-                lastDelete = key;
+                deleted.push(callOf(key, oldValue));
             } else if (action === 'update') {
-                if (oldValue === this.calls.get(key)) {
+                if (deepEquals(oldValue, this.calls.get(key))) {
                     // no change, do nothing [why does this happen?]
                 } else {
                     console.warn('Unexpected update action on Yjs calls map');
@@ -724,7 +1446,15 @@ export class Model {
                 }
             }
         }
-        if (lastDelete !== null) { this.#deleteCall(lastDelete); } // fire last delete
+        // a call that was stored again under a different key (i.e. migrated) is unchanged
+        const same = (a, b) => a.from === b.from && a.to === b.to;
+        const unchanged = added.filter(call => deleted.some(other => same(call, other)));
+        added = added.filter(call => !unchanged.some(other => same(call, other)));
+        deleted = deleted.filter(call => !unchanged.some(other => same(call, other)));
+        // a call deleted and another added at the same time is treated as an update
+        while (deleted.length > 0 && added.length > 0) { this.#updateCall(deleted.shift(), added.shift()); }
+        for (const call of deleted) { this.#deleteCall(call); }
+        for (const call of added) { this.#addCall(call); }
     }
 
     /**
@@ -746,7 +1476,7 @@ export class Model {
      * @param {string} to key of the to function
      */
     addFuncCall(from, to) {
-        this.calls.set(`${from}-${to}`, true);
+        this.calls.set(callKey(from, to), { from, to });
     }
 
     /**
@@ -755,7 +1485,7 @@ export class Model {
      * @param {string} to key of the to function
      */
     removeFuncCall(from, to) {
-        this.calls.delete(`${from}-${to}`);
+        this.calls.delete(callKey(from, to));
     }
 
     /**
@@ -765,7 +1495,7 @@ export class Model {
     removeFuncCalls(callArray) {
         this.model.transact(() => {
             for (const {from, to} of callArray) {
-                this.calls.delete(`${from}-${to}`);
+                this.calls.delete(callKey(from, to));
             }
         });
     }
@@ -782,8 +1512,8 @@ export class Model {
         newTo = newTo ?? oldTo;
         if (newFrom === oldFrom && newTo === oldTo) { return; }
         this.model.transact(() => {
-            this.calls.delete(`${oldFrom}-${oldTo}`);
-            this.calls.set(`${newFrom}-${newTo}`, true);
+            this.calls.delete(callKey(oldFrom, oldTo));
+            this.calls.set(callKey(newFrom, newTo), { from: newFrom, to: newTo });
         });
     }
 
@@ -795,7 +1525,7 @@ export class Model {
      *  for the call
      */
     getFuncCallProblems(from, to) {
-        return this.#callProblems[`${from}-${to}`] || [];
+        return this.#callProblems[callKey(from, to)] || [];
     }
 
     /**
@@ -806,11 +1536,30 @@ export class Model {
      *  for the call
      */
     setFuncCallProblems(from, to, problems) {
-        this.#callProblems[`${from}-${to}`] = [...problems];
+        this.#callProblems[callKey(from, to)] = [...problems];
         this.#fireCallProblems(from, to);
     }
 }
 
+/**
+ * Wait for a websocket provider to finish its initial sync. Resolves early if
+ * the connection fails or the timeout is reached so that an unreachable
+ * server doesn't prevent the plan from loading.
+ * @param {WebsocketProvider} provider
+ * @param {number} timeout in milliseconds
+ * @returns {Promise<void>}
+ */
+function whenProviderSynced(provider, timeout) {
+    return new Promise((resolve) => {
+        if (provider.synced) { resolve(); return; }
+        const timer = setTimeout(resolve, timeout);
+        const done = () => { clearTimeout(timer); resolve(); };
+        provider.once('synced', done);
+        provider.once('connection-error', done);
+        provider.once('connection-close', done);
+    });
+}
+
 /**
  * Update a Y.Text property in a Y.Map or Y.Array.
  * @param {Y.Map|Y.Array} ymap 
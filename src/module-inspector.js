@@ -3,9 +3,8 @@
  * when no function is selected.
  */
 
-import { wrapWithLabel, makeCheckbox, makeTextarea, makeReadOnlySelect, makeCodeEditorWithShowCheckbox, makeProblemsDiv, isReadOnly } from './inspector.js';
-import { DEFAULT_PROGRAM_HEADER } from './save-load.js';
-import { makeAddButton, makeRemoveButton } from './utils.js';
+import { wrapWithLabel, makeCheckbox, makeTextarea, makeReadOnlySelect, makeCodeEditorWithShowCheckbox, makeProblemsDiv, isReadOnly, makeAddButton, makeRemoveButton } from './inspector.js';
+import { DEFAULT_PROGRAM_HEADER } from './python-export.js';
 
 /**
  * Creates the module inspector div.
@@ -18,15 +17,22 @@ export function makeModuleInspector(model, options) {
 
     function set(property, value, cursorPos=null) { model.updateModelData(property, value, cursorPos); }
     function listen(property, listener) { model.addModelDataListener(property, (_, value) => listener(value)); }
+    // everything is read-only when the whole model is, otherwise nothing is in admin mode
     function listenRO(property, listener) {
-        if (options.adminMode) { listener(false); }
-        else {
-            model.addModelDataListener('readOnly', (_, value) => {
-                listener(isReadOnly(value ?? false, property));
-            });
-        }
+        model.addModelDataListener('readOnly', (_, value) => {
+            listener(model.readOnly || (!options.adminMode && isReadOnly(value ?? false, property)));
+        });
     }
+    model.addListener('readOnly', () => { model.fireModelDataListeners(); });
     const funcs = {set, listen, listenRO};
+    if (model.awareness) {
+        funcs.setCursor = (property, index) => { model.setLocalCursor(null, property, index); };
+        funcs.listenCursors = (property, listener) => {
+            const update = () => { listener(model.getRemoteCursors(null, property)); };
+            model.addListener('presence', update);
+            listen(property, update);
+        };
+    }
 
     div.append(
         ...makeHeader(model),
@@ -0,0 +1,137 @@
+/**
+ * Compares two versions of a plan (in the format of model.exportModel()),
+ * e.g. a draft and a final submission or two snapshots. The functions of the
+ * two plans are matched up by key and name so that renamed functions and
+ * functions that were re-added with a different key are still matched.
+ *
+ * This does not depend on the browser so it can also be used from Node.
+ *
+ * The exported functions are:
+ *  - diffFunction(before, after)
+ *  - diffPlans(before, after)
+ */
+
+import { deepEquals } from './utils.js';
+
+/** The function properties that are compared, in the order they are shown. */
+export const DIFF_FIELDS = ['name', 'desc', 'params', 'returns', 'io', 'testable', 'code'];
+
+const FIELD_DEFAULTS = {
+    name: '',
+    desc: '',
+    params: [],
+    returns: [],
+    io: 'none',
+    testable: false,
+    code: '',
+};
+
+function fieldValue(func, field) { return func?.[field] ?? FIELD_DEFAULTS[field]; }
+
+/**
+ * Compares the properties in DIFF_FIELDS of two versions of a function.
+ * @param {object|null} before the function data, null if the function was added
+ * @param {object|null} after the function data, null if the function was removed
+ * @returns {{field: string, before: *, after: *}[]} the fields that are different
+ */
+export function diffFunction(before, after) {
+    return DIFF_FIELDS.map(field => ({ field, before: fieldValue(before, field), after: fieldValue(after, field) }))
+        .filter(({ before, after }) => !deepEquals(before, after));
+}
+
+/**
+ * Matches the functions of two plans. Functions are first matched if they
+ * have the same key and name, then if they have the same name, and finally if
+ * they have the same key.
+ * @param {object[]} before
+ * @param {object[]} after
+ * @returns {Map<string, string>} the key in the before plan for each matched key in the after plan
+ */
+function matchFunctions(before, after) {
+    const matches = new Map(); // after key -> before key
+    const unmatched = new Set(before.map(func => func.key.toString()));
+    const byKey = new Map(before.map(func => [func.key.toString(), func]));
+    const passes = [
+        (a, b) => a.key.toString() === b.key.toString() && fieldValue(a, 'name') === fieldValue(b, 'name'),
+        (a, b) => fieldValue(a, 'name') === fieldValue(b, 'name'),
+        (a, b) => a.key.toString() === b.key.toString(),
+    ];
+    for (const isMatch of passes) {
+        for (const func of after) {
+            const key = func.key.toString();
+            if (matches.has(key)) { continue; }
+            const match = Array.from(unmatched).find(beforeKey => isMatch(byKey.get(beforeKey), func));
+            if (match !== undefined) {
+                matches.set(key, match);
+                unmatched.delete(match);
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Compares two versions of a plan. The result includes a combined plan that
+ * has all of the functions and calls of the after plan along with those that
+ * were removed from the before plan (given new keys not used in the after plan).
+ * @param {object} before the older plan
+ * @param {object} after the newer plan
+ * @returns {object} with:
+ *  - plan: the combined plan in the format of model.exportModel()
+ *  - functions: for each key in the combined plan the status ('added',
+ *    'removed', 'modified', or 'unchanged'), the before and after function
+ *    data (null if missing), and the changed fields (see diffFunction())
+ *  - calls: the from and to keys in the combined plan and the status ('added',
+ *    'removed', or 'unchanged') of each call
+ *  - counts: the number of functions and calls with each status
+ */
+export function diffPlans(before, after) {
+    const beforeFuncs = before.functions || [], afterFuncs = after.functions || [];
+    const matches = matchFunctions(beforeFuncs, afterFuncs);
+    const beforeKeys = new Map(); // before key -> combined key
+    const functions = {};
+    for (const func of afterFuncs) {
+        const key = func.key.toString();
+        const beforeFunc = beforeFuncs.find(f => f.key.toString() === matches.get(key)) ?? null;
+        const fields = diffFunction(beforeFunc, func);
+        if (beforeFunc) { beforeKeys.set(beforeFunc.key.toString(), key); }
+        functions[key] = {
+            status: !beforeFunc ? 'added' : fields.length > 0 ? 'modified' : 'unchanged',
+            before: beforeFunc, after: func, fields,
+        };
+    }
+
+    // the removed functions get keys that are not used in the after plan
+    const afterKeys = new Set(afterFuncs.map(func => func.key.toString()));
+    let nextKey = 0;
+    const removed = [];
+    for (const func of beforeFuncs) {
+        if (beforeKeys.has(func.key.toString())) { continue; }
+        let key;
+        do { key = `removed_${nextKey++}`; } while (afterKeys.has(key));
+        beforeKeys.set(func.key.toString(), key);
+        removed.push({ ...func, key });
+        functions[key] = { status: 'removed', before: func, after: null, fields: diffFunction(func, null) };
+    }
+
+    const callKey = (from, to) => JSON.stringify([from.toString(), to.toString()]);
+    const beforeCalls = new Set((before.calls || []).map(({ from, to }) =>
+        callKey(beforeKeys.get(from.toString()), beforeKeys.get(to.toString()))));
+    const afterCalls = new Set((after.calls || []).map(({ from, to }) => callKey(from, to)));
+    const calls = [];
+    for (const call of afterCalls) { calls.push([call, beforeCalls.has(call) ? 'unchanged' : 'added']); }
+    for (const call of beforeCalls) { if (!afterCalls.has(call)) { calls.push([call, 'removed']); } }
+
+    const counts = { added: 0, removed: 0, modified: 0, unchanged: 0, addedCalls: 0, removedCalls: 0, unchangedCalls: 0 };
+    for (const { status } of Object.values(functions)) { counts[status]++; }
+    for (const [_, status] of calls) { counts[`${status}Calls`]++; }
+
+    const { functions: _funcs, calls: _calls, ...modelData } = after;
+    const callData = calls.map(([call, status]) => { const [from, to] = JSON.parse(call); return { from, to, status }; });
+    return {
+        plan: { ...modelData, functions: afterFuncs.concat(removed), calls: callData.map(({ from, to }) => ({ from, to })) },
+        functions,
+        calls: callData,
+        counts,
+    };
+}
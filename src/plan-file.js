@@ -0,0 +1,213 @@
+/**
+ * Autosaving a plan to a JSON file on the user's computer (e.g. next to the
+ * Python files in their project) with the File System Access API, which is
+ * only available in Chromium-based browsers. Once a file is opened or
+ * created, every change to the plan is written to it. The file handle is kept
+ * with the plan in IndexedDB so the link is restored when the planner is
+ * opened again, although the browser asks for permission again before the
+ * file can be written.
+ *
+ * The exported functions are:
+ *  - canUsePlanFiles()
+ *  - setupPlanFile(model, options)
+ *  - showPlanFile(planFile, options)
+ */
+
+import Swal from 'sweetalert2';
+
+import { readPlan } from './plan-schema.js';
+import { showPlanError } from './save-load.js';
+import { deepEquals, escapeHtml } from './utils.js';
+
+const PLAN_FILE_KEY = 'plan-file'; // key in the custom store of the IndexedDB database
+const SAVE_DELAY = 1000; // ms to wait for more changes before writing the file
+const FILE_TYPES = [{ description: 'Function Plan', accept: { 'application/json': ['.json'] } }];
+const PERMISSION = { mode: 'readwrite' };
+
+/**
+ * Checks if the browser can open and save plan files.
+ * @returns {boolean}
+ */
+export function canUsePlanFiles() {
+    return typeof window.showOpenFilePicker === 'function' && typeof window.showSaveFilePicker === 'function';
+}
+
+/**
+ * Sets up autosaving a plan to a file, restoring the link to the file the
+ * plan was last saved to.
+ * @param {Model} model a model saved in IndexedDB
+ * @param {object} options
+ * @returns {object} the plan file, with its status (null if there is no
+ *  file, 'saving', 'saved', 'permission' if the browser needs permission to
+ *  write the file, or 'error'), fileName, canOpen (false while the plan is
+ *  read-only), and functions to addListener(callback) for status changes,
+ *  open() or create() a file, reconnect() after permission is needed, and
+ *  unlink() the file
+ */
+export function setupPlanFile(model, options) {
+    let handle = null;
+    let status = null;
+    let saveTimeout = null;
+    let writing = Promise.resolve(); // writes are done one at a time
+    const listeners = [];
+
+    function setStatus(value) {
+        status = value;
+        for (const listener of listeners) { listener(status); }
+    }
+
+    /** Writes the plan to the file once the previous write is done. */
+    function save() {
+        clearTimeout(saveTimeout);
+        saveTimeout = null;
+        const file = handle;
+        writing = writing.then(async () => {
+            if (!file || file !== handle) { return; } // unlinked or linked to another file since
+            setStatus('saving');
+            try {
+                const writable = await file.createWritable();
+                await writable.write(JSON.stringify(model.exportModel(), null, 2));
+                await writable.close();
+                await model.indexeddb.set(PLAN_FILE_KEY, { handle: file, modified: (await file.getFile()).lastModified });
+                setStatus('saved');
+            } catch (e) {
+                console.error(`Error saving the plan to ${file.name}:`, e);
+                setStatus(e.name === 'NotAllowedError' ? 'permission' : 'error');
+            }
+        });
+        return writing;
+    }
+
+    /**
+     * Reads the plan in the file.
+     * @returns {Promise<object|null>} the plan or null if the file is empty
+     * @throws {PlanError|SyntaxError} if the file is not a valid plan
+     */
+    async function readFile() {
+        const text = await (await handle.getFile()).text();
+        return text.trim() ? readPlan(JSON.parse(text)) : null;
+    }
+
+    /**
+     * Brings the plan and the file in sync after reconnecting to the file.
+     * If the file was changed outside of the planner (e.g. it was updated
+     * from the repository) the user chooses which version to keep, otherwise
+     * any changes made while disconnected are saved.
+     */
+    async function sync() {
+        const data = await readFile();
+        const saved = await model.indexeddb.get(PLAN_FILE_KEY);
+        const changed = (await handle.getFile()).lastModified !== saved?.modified;
+        if (data && changed && !deepEquals(data, model.exportModel())) {
+            const result = await Swal.fire({
+                theme: options.theme,
+                title: "Plan File Changed",
+                html: `<strong>${escapeHtml(handle.name)}</strong> was changed outside of the planner. Which version of the plan do you want to keep?`,
+                icon: "question",
+                confirmButtonText: "The File's",
+                showDenyButton: true,
+                denyButtonText: "This Browser's",
+                allowOutsideClick: false,
+            });
+            if (result.isConfirmed) { model.importModel(data); }
+        }
+        await save();
+    }
+
+    /**
+     * Links the plan to a file.
+     * @param {FileSystemFileHandle} file
+     * @param {boolean} load if true the plan is replaced with the file's plan (unless the file is empty)
+     */
+    async function link(file, load) {
+        const old = handle;
+        handle = file;
+        try {
+            const data = load ? await readFile() : null;
+            if (data) { model.importModel(data); }
+        } catch (e) {
+            handle = old;
+            throw e;
+        }
+        await save();
+    }
+
+    model.whenSynced.then(async () => {
+        const saved = await model.indexeddb.get(PLAN_FILE_KEY);
+        if (!saved?.handle) { return; }
+        handle = saved.handle;
+        if (await handle.queryPermission(PERMISSION) === 'granted') {
+            try { await sync(); } catch (e) { console.error(e); setStatus('error'); }
+        } else {
+            setStatus('permission'); // can only be requested when the user clicks something
+        }
+    });
+    model.model.on('update', (_, origin) => {
+        if (handle && status !== 'permission' && origin !== model.indexeddb) {
+            clearTimeout(saveTimeout);
+            saveTimeout = setTimeout(save, SAVE_DELAY);
+        }
+    });
+    model.addListener('destroy', async () => {
+        if (saveTimeout !== null) { await save(); }
+        await writing;
+    });
+
+    return {
+        get status() { return status; },
+        get fileName() { return handle?.name ?? null; },
+        get canOpen() { return !model.readOnly; },
+        addListener(callback) { listeners.push(callback); },
+        async open() {
+            if (model.readOnly) { throw new Error('The plan is read-only so it cannot be replaced by a file.'); }
+            const [file] = await window.showOpenFilePicker({ types: FILE_TYPES });
+            await link(file, true);
+        },
+        async create() {
+            await link(await window.showSaveFilePicker({ types: FILE_TYPES, suggestedName: `${model.id}-plan.json` }), false);
+        },
+        async reconnect() {
+            if (await handle.requestPermission(PERMISSION) === 'granted') { await sync(); }
+        },
+        async unlink() {
+            clearTimeout(saveTimeout);
+            saveTimeout = null;
+            handle = null;
+            await model.indexeddb.del(PLAN_FILE_KEY);
+            setStatus(null);
+        },
+    };
+}
+
+/**
+ * Shows the plan file dialog for opening or creating a file to autosave the
+ * plan to, or for reconnecting to or unlinking the current file.
+ * @param {object} planFile from setupPlanFile()
+ * @param {object} options
+ */
+export async function showPlanFile(planFile, options) {
+    const name = planFile.fileName;
+    const result = await Swal.fire({
+        theme: options.theme,
+        title: "Plan File",
+        html: name ?
+            `This plan is autosaved to <strong>${escapeHtml(name)}</strong>.` +
+                (planFile.status === 'permission' ? '<br>The browser needs your permission to keep saving it.' : '') :
+            "Autosave this plan to a file on your computer, such as in the folder with your Python code." +
+                (planFile.canOpen ? "<br>Opening a file <em>replaces</em> the current plan with the plan in the file." : ''),
+        showDenyButton: true,
+        showCancelButton: true,
+        showCloseButton: true,
+        showConfirmButton: name ? planFile.status === 'permission' || planFile.status === 'error' : planFile.canOpen,
+        confirmButtonText: name ? "Reconnect" : "Open File…",
+        denyButtonText: name ? "Stop Autosaving" : "Save to New File…",
+    });
+    try {
+        if (result.isConfirmed) { await (name ? planFile.reconnect() : planFile.open()); }
+        else if (result.isDenied) { await (name ? planFile.unlink() : planFile.create()); }
+    } catch (e) {
+        if (e.name === 'AbortError') { return; } // the file picker was cancelled
+        console.error(e);
+        showPlanError(e, options, "Plan File Error");
+    }
+}
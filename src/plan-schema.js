@@ -0,0 +1,192 @@
+/**
+ * The format of plans saved with "Save as JSON" (the same as
+ * model.exportModel()), checking plans against it, and migrating plans saved
+ * by older versions of the planner. Each plan has a schemaVersion, plans
+ * without one are from before it was added (version 0).
+ *
+ * To change the format, increment SCHEMA_VERSION, add a migration from the
+ * previous version to MIGRATIONS, and update the schemas below.
+ *
+ * This does not depend on the browser so it can also be used from Node.
+ *
+ * The exported functions are:
+ *  - migratePlan(plan)
+ *  - validatePlan(plan, strict=false)
+ *  - readPlan(plan)
+ */
+
+export const SCHEMA_VERSION = 2;
+
+/**
+ * The migrations between versions, MIGRATIONS[i] migrates a plan from version
+ * i to version i+1. They are given a copy of the plan which they can modify.
+ * They are run before the plan is validated so they must not assume that it
+ * is valid.
+ */
+const MIGRATIONS = [
+    // 0 -> 1: authors was a single string
+    (plan) => {
+        if (typeof plan.authors === 'string') { plan.authors = plan.authors.trim() ? [plan.authors] : []; }
+        return plan;
+    },
+    // 1 -> 2: keys were numbers, now they are any string (see Model.addFunc())
+    (plan) => {
+        const toString = (object, property) => { if (Number.isInteger(object?.[property])) { object[property] = object[property].toString(); } };
+        if (Array.isArray(plan.functions)) { plan.functions.forEach(func => toString(func, 'key')); }
+        if (Array.isArray(plan.calls)) { plan.calls.forEach(call => { toString(call, 'from'); toString(call, 'to'); }); }
+        return plan;
+    },
+];
+
+export const IO_TYPES = ['none', 'indirect', 'output', 'input', 'validation'];
+
+function isStringArray(value) { return Array.isArray(value) && value.every(item => typeof item === 'string'); }
+
+// the checks for the values of properties, with a description for the error messages
+const STRING = { check: (v) => typeof v === 'string', expected: 'a string' };
+const BOOLEAN = { check: (v) => typeof v === 'boolean', expected: 'true or false' };
+const VERSION = { check: (v) => Number.isInteger(v) && v >= 0, expected: 'a non-negative integer' };
+const KEY = { check: (v) => typeof v === 'string' && v !== '', expected: 'a non-empty string', required: true };
+const STRING_LIST = { check: isStringArray, expected: 'a list of strings' };
+const READ_ONLY = { check: (v) => typeof v === 'boolean' || isStringArray(v), expected: 'true, false, or a list of property names' };
+
+/** The properties of each parameter and return value of a function. */
+export const VARIABLE_SCHEMA = {
+    name: STRING,
+    type: STRING,
+    desc: STRING,
+};
+
+/** The properties of each function. */
+export const FUNCTION_SCHEMA = {
+    key: KEY,
+    name: STRING,
+    desc: STRING,
+    params: { items: VARIABLE_SCHEMA },
+    returns: { items: VARIABLE_SCHEMA },
+    io: { check: (v) => IO_TYPES.includes(v), expected: `one of ${IO_TYPES.join(', ')}` },
+    testable: BOOLEAN,
+    owner: STRING,
+    code: STRING,
+    testCode: STRING,
+    showCode: BOOLEAN,
+    showTestCode: BOOLEAN,
+    readOnly: READ_ONLY,
+};
+
+/** The properties of each call, the keys of the calling and called functions. */
+export const CALL_SCHEMA = {
+    from: KEY,
+    to: KEY,
+};
+
+/** The properties of a plan. */
+export const PLAN_SCHEMA = {
+    schemaVersion: VERSION,
+    documentation: STRING,
+    testDocumentation: STRING,
+    globalCode: STRING,
+    testGlobalCode: STRING,
+    authors: STRING_LIST,
+    showTestDocumentation: BOOLEAN,
+    showGlobalCode: BOOLEAN,
+    showTestGlobalCode: BOOLEAN,
+    readOnly: READ_ONLY,
+    functions: { items: FUNCTION_SCHEMA, required: true },
+    calls: { items: CALL_SCHEMA, required: true },
+};
+
+function isObject(value) { return typeof value === 'object' && value !== null && !Array.isArray(value); }
+function join(path, property) { return path ? `${path}.${property}` : property; }
+
+function checkObject(object, schema, path, strict, errors) {
+    if (!isObject(object)) { errors.push(`${path || 'The plan'} must be an object`); return; }
+    for (const [property, rule] of Object.entries(schema)) {
+        if (rule.required && object[property] === undefined) { errors.push(`${join(path, property)} is required`); }
+    }
+    for (const [property, value] of Object.entries(object)) {
+        const rule = schema[property];
+        const where = join(path, property);
+        if (!rule) {
+            if (strict) { errors.push(`${where} is not a known property`); }
+        } else if (rule.items) {
+            if (!Array.isArray(value)) { errors.push(`${where} must be a list`); continue; }
+            value.forEach((item, i) => checkObject(item, rule.items, `${where}[${i}]`, strict, errors));
+        } else if (!rule.check(value)) {
+            errors.push(`${where} must be ${rule.expected}`);
+        }
+    }
+}
+
+/**
+ * Checks a plan against the schema of the current version, including that
+ * the function keys are unique and that the calls are between functions in
+ * the plan. Properties that are not in the schema are allowed unless strict.
+ * @param {object} plan
+ * @param {boolean} strict if true, properties that are not in the schema are errors
+ * @returns {string[]} the problems found, e.g. "functions[3].params[1].type
+ *  must be a string", empty if the plan is valid
+ */
+export function validatePlan(plan, strict=false) {
+    const errors = [];
+    checkObject(plan, PLAN_SCHEMA, '', strict, errors);
+    if (errors.length > 0) { return errors; } // the keys can't be checked if the structure is wrong
+
+    const keys = new Set();
+    plan.functions.forEach((func, i) => {
+        const key = func.key;
+        if (keys.has(key)) { errors.push(`functions[${i}].key is the same as another function (${key})`); }
+        keys.add(key);
+    });
+    const calls = new Set();
+    plan.calls.forEach((call, i) => {
+        for (const end of ['from', 'to']) {
+            if (!keys.has(call[end])) { errors.push(`calls[${i}].${end} is not the key of a function (${call[end]})`); }
+        }
+        const id = JSON.stringify([call.from, call.to]);
+        if (calls.has(id)) { errors.push(`calls[${i}] is the same as another call (${call.from} to ${call.to})`); }
+        calls.add(id);
+    });
+    return errors;
+}
+
+/**
+ * Migrates a plan from an older version of the schema to the current one.
+ * @param {object} plan
+ * @returns {object} a migrated copy of the plan with the current schemaVersion
+ * @throws {PlanError} if the plan is from a newer version of the planner
+ */
+export function migratePlan(plan) {
+    const version = plan?.schemaVersion ?? 0;
+    if (!VERSION.check(version)) { throw new PlanError([`schemaVersion must be ${VERSION.expected}`]); }
+    if (version > SCHEMA_VERSION) {
+        throw new PlanError([`schemaVersion ${version} is from a newer version of the planner (this one supports up to ${SCHEMA_VERSION})`]);
+    }
+    plan = structuredClone(plan);
+    for (let v = version; v < SCHEMA_VERSION; v++) { plan = MIGRATIONS[v](plan); }
+    return { ...plan, schemaVersion: SCHEMA_VERSION };
+}
+
+/**
+ * Migrates and validates a plan, e.g. one that was just parsed from a file.
+ * @param {object} plan
+ * @returns {object} the migrated plan
+ * @throws {PlanError} if the plan is invalid
+ */
+export function readPlan(plan) {
+    if (!isObject(plan)) { throw new PlanError(['The plan must be an object']); }
+    plan = migratePlan(plan);
+    const errors = validatePlan(plan);
+    if (errors.length > 0) { throw new PlanError(errors); }
+    return plan;
+}
+
+/** An invalid plan, with each of the problems found in errors. */
+export class PlanError extends Error {
+    /** @param {string[]} errors */
+    constructor(errors) {
+        super(`The plan is invalid:\n${errors.join('\n')}`);
+        this.name = 'PlanError';
+        this.errors = errors;
+    }
+}
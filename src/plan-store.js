@@ -0,0 +1,219 @@
+/**
+ * Functions for managing all of the plans saved in this browser. Each plan is
+ * saved in its own IndexedDB database named by its plan id (see Model). These
+ * are used by the "My Plans" page (plans.html) to list, copy, rename, and
+ * delete plans without opening them in the planner.
+ *
+ * Information about each plan that cannot be worked out from the plan itself
+ * (the page it was opened on, when it was last changed, and its problems with
+ * that page's options) is kept with the plan by trackPlan().
+ *
+ * The exported functions are:
+ *  - trackPlan(model, page)
+ *  - listPlans()
+ *  - loadPlan(id)
+ *  - copyPlan(id, newId, withHistory=false)
+ *  - renamePlan(id, newId)
+ *  - deletePlan(id)
+ */
+
+import * as Y from 'yjs';
+import { IndexeddbPersistence, clearDocument } from 'y-indexeddb';
+
+import { Model } from './model.js';
+import { collectProblems } from './grading.js';
+
+const PLAN_INFO_KEY = 'plan-info'; // key in the custom store of the IndexedDB database
+const SAVE_DELAY = 2000; // ms to wait for more changes (and the problems to be updated) before saving the info
+
+/**
+ * Keeps the information about a plan shown on the "My Plans" page up to date
+ * while it is open in the planner.
+ * @param {Model} model a model saved in IndexedDB
+ * @param {{title: string, url: string}} page the title of the page the plan is
+ *  open on and its URL (which must open this plan)
+ */
+export function trackPlan(model, page) {
+    if (!model.indexeddb) { return; }
+    let saveTimeout = null, pendingModified = false;
+    async function write() {
+        const modified = pendingModified;
+        saveTimeout = null;
+        pendingModified = false;
+        const info = (await model.indexeddb.get(PLAN_INFO_KEY)) || {};
+        const problems = collectProblems(model);
+        await model.indexeddb.set(PLAN_INFO_KEY, {
+            ...info, ...page,
+            modified: modified ? new Date().toISOString() : info.modified ?? null,
+            functions: model.functions.size,
+            errors: problems.filter(p => p.severity === 'error').length,
+            warnings: problems.filter(p => p.severity === 'warning').length,
+        });
+    }
+    function save(modified) {
+        clearTimeout(saveTimeout);
+        pendingModified ||= modified;
+        saveTimeout = setTimeout(write, SAVE_DELAY);
+    }
+    model.whenSynced.then(() => {
+        save(false); // the page or the problems may be different even if the plan isn't
+        model.model.on('update', (_, origin) => {
+            if (origin !== model.indexeddb) { save(true); }
+        });
+    });
+    model.addListener('destroy', async () => {
+        if (saveTimeout !== null) { clearTimeout(saveTimeout); await write(); }
+    });
+}
+
+/**
+ * Opens an IndexedDB database without creating or upgrading it.
+ * @param {string} name
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Gets the plan info kept by trackPlan() from a plan's database.
+ * @param {IDBDatabase} db
+ * @returns {Promise<object|undefined>}
+ */
+function readPlanInfo(db) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction('custom', 'readonly').objectStore('custom').get(PLAN_INFO_KEY);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Gets everything in the custom store of a plan's database (snapshots, the
+ * replay, the activity log, and the plan info).
+ * @param {IDBDatabase} db
+ * @returns {Promise<Map<string, *>>}
+ */
+function readCustomStore(db) {
+    return new Promise((resolve, reject) => {
+        const store = db.transaction('custom', 'readonly').objectStore('custom');
+        const keys = store.getAllKeys(), values = store.getAll();
+        values.onsuccess = () => resolve(new Map(keys.result.map((key, i) => [key, values.result[i]])));
+        values.onerror = () => reject(values.error);
+    });
+}
+
+/**
+ * Loads a plan's Yjs document from IndexedDB.
+ * @param {string} id
+ * @returns {Promise<Y.Doc>} the document, which is not kept in sync with
+ *  IndexedDB and should be destroyed once it is no longer needed
+ */
+async function loadDoc(id) {
+    const doc = new Y.Doc();
+    const persistence = new IndexeddbPersistence(id, doc);
+    await persistence.whenSynced;
+    await persistence.destroy(); // only closes the database
+    return doc;
+}
+
+/**
+ * Lists the plans saved in this browser. Plans that have not been opened
+ * since the plan info was added do not have a page, modified time, or
+ * problem counts.
+ * @returns {Promise<object[]>} each plan's id, the title and url of the page
+ *  it was last opened on, when it was last modified (an ISO string), and the
+ *  number of functions, errors, and warnings, sorted with the most recently
+ *  modified first
+ */
+export async function listPlans() {
+    const plans = [];
+    for (const { name } of await indexedDB.databases()) {
+        const db = await openDatabase(name);
+        try {
+            // only the databases created by y-indexeddb are plans
+            if (!db.objectStoreNames.contains('updates') || !db.objectStoreNames.contains('custom')) { continue; }
+            const info = (await readPlanInfo(db)) || {};
+            plans.push({ title: null, url: null, modified: null, errors: null, warnings: null, ...info, id: name });
+        } finally { db.close(); }
+    }
+    for (const plan of plans.filter(plan => plan.functions == null)) {
+        const doc = await loadDoc(plan.id);
+        plan.functions = doc.getMap('functions').size;
+        doc.destroy();
+    }
+    return plans.sort((a, b) => (b.modified ?? '').localeCompare(a.modified ?? '') || a.id.localeCompare(b.id));
+}
+
+/**
+ * Loads a plan without opening it for editing.
+ * @param {string} id
+ * @returns {Promise<object>} the plan in the same format as model.exportModel()
+ */
+export async function loadPlan(id) {
+    const doc = await loadDoc(id);
+    const model = new Model(id, {}, { persist: false });
+    Y.applyUpdate(model.model, Y.encodeStateAsUpdate(doc));
+    doc.destroy();
+    await model.whenSynced; // migrates plans saved by older versions
+    const plan = model.exportModel();
+    await model.destroy();
+    return plan;
+}
+
+/**
+ * Copies a plan to a new plan id. The history (snapshots, replay, and
+ * activity log) is only copied if withHistory is true, otherwise the copy
+ * starts with a new history.
+ * @param {string} id
+ * @param {string} newId must not be the id of an existing plan
+ * @param {boolean} withHistory
+ * @throws {Error} if there is already a plan with the new id
+ */
+export async function copyPlan(id, newId, withHistory=false) {
+    if ((await indexedDB.databases()).some(({ name }) => name === newId)) {
+        throw new Error(`There is already a plan named "${newId}".`);
+    }
+    const db = await openDatabase(id);
+    let custom;
+    try { custom = await readCustomStore(db); } finally { db.close(); }
+
+    // the new database is created with the entire document
+    const doc = await loadDoc(id);
+    const persistence = new IndexeddbPersistence(newId, doc);
+    await persistence.whenSynced;
+    for (const [key, value] of custom) {
+        if (key === PLAN_INFO_KEY) {
+            const url = value.url ? new URL(value.url) : null;
+            url?.searchParams.set('plan', newId);
+            await persistence.set(key, { ...value, url: url?.href ?? null });
+        } else if (withHistory) {
+            await persistence.set(key, value);
+        }
+    }
+    await persistence.destroy();
+    doc.destroy();
+}
+
+/**
+ * Changes the id of a plan, keeping its history.
+ * @param {string} id
+ * @param {string} newId must not be the id of an existing plan
+ * @throws {Error} if there is already a plan with the new id
+ */
+export async function renamePlan(id, newId) {
+    await copyPlan(id, newId, true);
+    await deletePlan(id);
+}
+
+/**
+ * Deletes a plan and its history. This cannot be undone.
+ * @param {string} id
+ */
+export async function deletePlan(id) {
+    await clearDocument(id);
+}
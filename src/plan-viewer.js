@@ -0,0 +1,56 @@
+/**
+ * Shows a plan read-only in the normal planner over the rest of the page, for
+ * looking at plans other than the one being edited (e.g. a student's plan on
+ * the batch grading page or a snapshot in the history panel).
+ *
+ * The exported functions are:
+ *  - viewPlan(id, data, options, actions=[])
+ */
+
+import { Model } from './model.js';
+import { setupPlanner } from '../function-planner.js';
+
+/**
+ * Shows a plan read-only until closed with the close button or Escape.
+ * @param {string} id the plan id
+ * @param {object} data the plan in the same format as model.exportModel()
+ * @param {object} options the planner options (see plannerOptions() in function-planner.js)
+ * @param {{text: string, title: string, onClick: function}[]} actions extra
+ *  buttons shown next to the close button, onClick is given the function to close the plan
+ * @returns {function} function to close the plan
+ */
+export function viewPlan(id, data, options, actions=[]) {
+    const overlay = document.createElement('div');
+    overlay.className = 'func-planner-viewer';
+    const plannerDiv = document.createElement('div');
+    const close = document.createElement('button');
+    close.className = 'func-planner-viewer-close';
+    close.title = 'Close (Esc)';
+    close.textContent = '✕';
+    const buttons = actions.map(({ text, title, onClick }) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title ?? '';
+        button.addEventListener('click', () => onClick(closePlan));
+        return button;
+    });
+    const toolbar = document.createElement('div');
+    toolbar.className = 'func-planner-viewer-toolbar';
+    toolbar.append(...buttons, close);
+    overlay.append(plannerDiv, toolbar);
+    document.body.appendChild(overlay);
+
+    const model = new Model(id, data, { persist: false, readOnly: true });
+    const diagram = setupPlanner(plannerDiv, model, { ...options, title: options.title ?? id, adminMode: false, readOnly: true });
+
+    function onKeyDown(e) { if (e.key === 'Escape' && !document.querySelector('.swal2-container')) { closePlan(); } }
+    function closePlan() {
+        document.removeEventListener('keydown', onKeyDown);
+        diagram.div = null; // releases the diagram's resources
+        model.destroy();
+        overlay.remove();
+    }
+    close.addEventListener('click', closePlan);
+    document.addEventListener('keydown', onKeyDown);
+    return closePlan;
+}
@@ -8,9 +8,12 @@
  *  - willFuncBecomeRecursive(model, from, to)
  *  - checkName(name, type="Function", field="name")
  *  - isFunctionNameNotUnique(model, key, name)
+ *  - countFunctions(model)
+ *  - functionCountProblems(model, options={})
   */
 
 import { deepEquals, dup } from './utils.js';
+import { funcConformanceProblems, funcLinkConformanceProblems, callConformanceProblems, modelConformanceProblems } from './conformance.js';
 
 /**
  * Sets up problem checking listeners on the model to automatically update
@@ -76,6 +79,15 @@ export function setupProblemChecking(model, options) {
         }
     });
 
+    model.addListener('implementation', () => { updateAllProblems(model, options); });
+
+    const checkModelFunctions = () => { checkFunctionCounts(model, options); checkConformance(model); };
+    model.addFuncAddListener(checkModelFunctions);
+    model.addFuncRemoveListener(checkModelFunctions);
+    model.addFuncListener('name', checkModelFunctions);
+    model.addFuncListener('testable', checkModelFunctions);
+    model.addFuncListener('io', checkModelFunctions);
+
     if (!options.callGraphOnly) {
         model.addModelDataListener('documentation', () => { checkModuleDocumentation(model, options); });
         model.addModelDataListener('authors', () => { checkModuleAuthors(model, options); });
@@ -98,10 +110,77 @@ export function updateAllProblems(model, options={}) {
         }
     }
     // the rest update problems directly
+    checkFunctionCounts(model, options);
+    checkConformance(model);
     if (!options.callGraphOnly) { checkModuleDocumentation(model, options); checkModuleAuthors(model, options); }
     modelLinkProblems(model);
 }
 
+/**
+ * The limits on the number of functions of each kind. Each has the model data
+ * field the problems are recorded under, the singular and plural nouns for
+ * the messages, the option names for the minimum and maximum, and the key of
+ * the count from countFunctions().
+ */
+export const FUNCTION_COUNT_LIMITS = [
+    { field: 'functions', label: 'Functions', noun: 'function', nouns: 'functions', min: 'minFunctions', max: 'maxFunctions', count: 'total', defaultMin: 1 },
+    { field: 'testable', label: 'Testable', noun: 'testable function', nouns: 'testable functions', min: 'minTestable', max: 'maxTestable', count: 'testable', defaultMin: 0 },
+    { field: 'inputFunctions', label: 'Input', noun: 'function with user input', nouns: 'functions with user input', min: 'minInputFunctions', max: 'maxInputFunctions', count: 'input', defaultMin: 0 },
+    { field: 'outputFunctions', label: 'Output', noun: 'output only function', nouns: 'output only functions', min: 'minOutputFunctions', max: 'maxOutputFunctions', count: 'output', defaultMin: 0 },
+];
+
+/**
+ * Counts the functions of each kind in the model.
+ * @param {*} model
+ * @returns {{total: number, testable: number, input: number, output: number, hasMain: boolean}}
+ */
+export function countFunctions(model) {
+    const functions = Array.from(model.functions.values());
+    const ios = functions.map(func => func.get('io') || 'none');
+    return {
+        total: functions.length,
+        testable: functions.filter(func => func.get('testable')).length,
+        input: ios.filter(io => io === 'input' || io === 'validation').length,
+        output: ios.filter(io => io === 'output').length,
+        hasMain: functions.some(func => func.get('name')?.toString()?.trim() === 'main'),
+    };
+}
+
+/**
+ * Checks the model for a main function and the number of functions of each
+ * kind against the min/max options.
+ * @param {*} model
+ * @param {object} options
+ * @returns array of problems found: [ [severity, field, message], ... ]
+ */
+export function functionCountProblems(model, options={}) {
+    const problems = [];
+    const counts = countFunctions(model);
+    if (!counts.hasMain) { problems.push(["error", "main", "There must be a main() function."]); }
+    for (const { field, noun, nouns, min, max, count, defaultMin } of FUNCTION_COUNT_LIMITS) {
+        const minimum = options[min] ?? defaultMin;
+        const maximum = options[max] ?? Infinity;
+        if (counts[count] < minimum) { problems.push(["error", field, `There must be at least ${minimum} ${minimum === 1 ? noun : nouns}.`]); }
+        else if (counts[count] > maximum) { problems.push(["error", field, `There must be at most ${maximum} ${maximum === 1 ? noun : nouns}.`]); }
+    }
+    return problems;
+}
+
+function checkFunctionCounts(model, options={}) {
+    const problems = functionCountProblems(model, options);
+    for (const field of ['main', ...FUNCTION_COUNT_LIMITS.map(limit => limit.field)]) {
+        model.clearModelDataProblem(null, field);
+    }
+    for (const [severity, field, message] of problems) { model.recordModelDataProblem(severity, field, message); }
+}
+
+function checkConformance(model) {
+    for (const problem of model.getModelDataProblems().filter(([, field]) => field === 'conformance')) {
+        model.clearModelDataProblem(...problem);
+    }
+    for (const [severity, field, message] of modelConformanceProblems(model)) { model.recordModelDataProblem(severity, field, message); }
+}
+
 function checkModuleDocumentation(model, options={}) {
     const docLen = (model.modelData.get('documentation')?.toString() || '').trim().length;
     model.clearModelDataProblem(null, "documentation");
@@ -131,13 +210,14 @@ function checkModuleAuthors(model, options={}) {
 function modelLinkProblems(model, startingKey = null) {
     const cycles = findCycles(model, startingKey).filter(cycle => cycle.length > 1); // only cycles with more than one node (self-recursive functions are already handled)
     const map = cyclesToMap(cycles);
-    for (const callKey of model.calls.keys()) {
-        const [from, to] = callKey.split('-');
-        const lp = model.getFuncCallProblems(from, to);
-        const currentlyHasCycle = lp.some(p => p[2].includes('cycle'));
-        if (map.has(from) && map.get(from).includes(to)) {
-            if (!currentlyHasCycle) { model.setFuncCallProblems(from, to, lp.concat([["warning", "link", 'Part of a recursive cycle. Recursive functions are tricky, be careful if this is what you intended.']])); }
-        } else if (currentlyHasCycle) { model.setFuncCallProblems(from, to, lp.filter(p => !p[2].includes('cycle'))); }
+    for (const [from, tos] of Object.entries(model.calledFunctions)) {
+        for (const to of tos) {
+            const lp = model.getFuncCallProblems(from, to);
+            const currentlyHasCycle = lp.some(p => p[2].includes('cycle'));
+            if (map.has(from) && map.get(from).includes(to)) {
+                if (!currentlyHasCycle) { model.setFuncCallProblems(from, to, lp.concat([["warning", "link", 'Part of a recursive cycle. Recursive functions are tricky, be careful if this is what you intended.']])); }
+            } else if (currentlyHasCycle) { model.setFuncCallProblems(from, to, lp.filter(p => !p[2].includes('cycle'))); }
+        }
     }
     for (const [key, func] of model.functions) {
         const lp = model.getFuncLinkProblems(key);
@@ -236,6 +316,7 @@ function linkProblems(model, fromKey, toKey) {
     const to = model.functions.get(toKey);
     if (to?.get("name")?.toString()?.trim() === 'main') { problems.push(["error", "link", "Main function should not be called by other functions."]); }
     else if (toKey === fromKey) { problems.push(["warning", "link", "Recursive functions are tricky, be careful if this is what you intended."]); }
+    problems.push(...callConformanceProblems(model, fromKey, toKey));
     return problems;
 }
 /**
@@ -257,6 +338,7 @@ function funcLinkProblems(model, key) {
         if (callsInto.length === 0) { problems.push(["error", "callsInto", "Non-main functions must be called by at least one other function."]); }
         else if (callsInto.includes(key)) { problems.push(["warning", "callsInto", "Recursive functions are tricky, be careful if this is what you intended."]); }
     }
+    problems.push(...funcLinkConformanceProblems(model, key));
 
     return problems;
 }
@@ -376,6 +458,7 @@ function funcProblems(model, key, options={}, fix=false) {
     const nameProblem = checkName(name, "Function", "name");
     if (nameProblem) { problems.push(nameProblem); }
     if (isFunctionNameNotUnique(model, key, name)) { problems.push(["error", "name", "Function name must be unique."]); }
+    problems.push(...funcConformanceProblems(model, key, options));
     if (options.callGraphOnly) { return problems; }
 
     const isMain = name === 'main';
@@ -0,0 +1,671 @@
+/**
+ * Functions for reverse-engineering a function planner model from Python
+ * source code. This is the inverse of the Python template export in
+ * save-load.js: the module docstring becomes the documentation (and authors),
+ * every top-level def becomes a function (with its parameters, returns, and
+ * description taken from the type hints and docstring), the function bodies
+ * become the code, and the calls between the defined functions become the
+ * call graph. The comments in the stubs of an exported template (the calls,
+ * the user I/O, and whether the function is testable) are read back as well.
+ *
+ * This is not a full Python parser. It only understands enough of the syntax
+ * (strings, comments, brackets, and indentation) to find the top-level
+ * statements and the calls within them.
+ *
+ * The exported functions are:
+ *  - parsePython(source)
+ *  - pythonToType(annotation)
+ *  - parseDocstring(docstring)
+ */
+
+const TYPE_ALIASES = {
+    'List': 'list', 'Tuple': 'tuple', 'Dict': 'dict', 'Set': 'set',
+    'FrozenSet': 'set', 'frozenset': 'set',
+};
+const STUB_COMMENT = '# TODO: implement this function';
+const IO_COMMENTS = {
+    '# Has direct user input that requires validation': 'validation',
+    '# Has direct user input': 'input',
+    '# Has direct user output': 'output',
+};
+const TESTABLE_COMMENT = '# Can be unit tested';
+const CALLS_COMMENT = /^\s*# Calls (.*)$/m; // lists the calls of a stub, e.g. "# Calls a(), b()"
+const BRACKETS = { '(': ')', '[': ']', '{': '}' };
+
+
+///// Scanning /////
+
+/**
+ * Replaces all strings (except their opening quote) and comments in the
+ * source with spaces (keeping newlines and the expressions within f-strings)
+ * so that the brackets, keywords, and names can be found with simple string
+ * searches. Every character keeps its position.
+ * @param {string} source
+ * @returns {{masked: string, strings: {start: number, end: number}[]}} the
+ *  masked source and the location of every string literal (including prefix
+ *  and quotes)
+ */
+function scanPython(source) {
+    let masked = '';
+    const strings = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (ch === '#') {
+            let end = source.indexOf('\n', i);
+            if (end === -1) { end = source.length; }
+            masked += ' '.repeat(end - i);
+            i = end;
+        } else if (ch === '"' || ch === "'") {
+            const prefix = /(?:^|[^\w])([rRbBuUfF]{1,2})$/.exec(masked)?.[1] || '';
+            const isFString = /f/i.test(prefix);
+            const quote = source.startsWith(ch.repeat(3), i) ? ch.repeat(3) : ch;
+            let j = i + quote.length;
+            while (j < source.length && !source.startsWith(quote, j)) {
+                if (source[j] === '\\') { j++; }
+                else if (quote.length === 1 && source[j] === '\n') { break; } // unterminated string
+                j++;
+            }
+            j = Math.min(j, source.length);
+            const end = source.startsWith(quote, j) ? j + quote.length : j;
+            // the closing quote is masked as well so it is never mistaken for the start of a statement
+            masked += quote + maskStringContents(source.slice(i + quote.length, j), isFString) + ' '.repeat(end - j);
+            strings.push({ start: i - prefix.length, end });
+            i = end;
+        } else {
+            masked += ch;
+            i++;
+        }
+    }
+    return { masked, strings };
+}
+function maskStringContents(text, isFString) {
+    if (!isFString) { return text.replace(/[^\n]/g, ' '); }
+    // keep the expressions within {} of f-strings (but not {{ or }})
+    let result = '', depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (depth === 0 && (text.startsWith('{{', i) || text.startsWith('}}', i))) { result += '  '; i++; }
+        else if (ch === '{') { depth++; result += depth === 1 ? ' ' : ch; }
+        else if (ch === '}' && depth > 0) { depth--; result += depth === 0 ? ' ' : ch; }
+        else { result += (depth > 0 || ch === '\n') ? ch : ' '; }
+    }
+    return result;
+}
+
+function findMatchingBracket(masked, start) {
+    const stack = [];
+    for (let i = start; i < masked.length; i++) {
+        const ch = masked[i];
+        if (BRACKETS[ch]) { stack.push(BRACKETS[ch]); }
+        else if (ch === ')' || ch === ']' || ch === '}') {
+            stack.pop();
+            if (stack.length === 0) { return i; }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Splits the text on a separator that is not within brackets. The masked
+ * version of the text is used for finding the separators.
+ */
+function splitTopLevel(text, masked, separator=',') {
+    const parts = [];
+    let depth = 0, last = 0;
+    for (let i = 0; i < masked.length; i++) {
+        const ch = masked[i];
+        if (BRACKETS[ch]) { depth++; }
+        else if (ch === ')' || ch === ']' || ch === '}') { depth--; }
+        else if (ch === separator && depth === 0) {
+            parts.push(text.slice(last, i));
+            last = i + 1;
+        }
+    }
+    parts.push(text.slice(last));
+    return parts;
+}
+
+/**
+ * Splits the source into its top-level statements. Each statement starts on
+ * a line with no indentation (that isn't a continuation of a previous line)
+ * and includes all following lines up to the next such line.
+ * @returns {{start: number, end: number, lines: string[], masked: string[]}[]}
+ *  with start/end being line numbers
+ */
+function splitStatements(source, masked) {
+    const lines = source.split('\n');
+    const maskedLines = masked.split('\n');
+    const statements = [];
+    let depth = 0, continued = false;
+    for (let i = 0; i < lines.length; i++) {
+        const line = maskedLines[i];
+        if (depth <= 0 && !continued && /^\S/.test(line)) {
+            if (statements.length) { statements[statements.length - 1].end = i; }
+            statements.push({ start: i, end: lines.length });
+        }
+        for (const ch of line) {
+            if (BRACKETS[ch]) { depth++; }
+            else if (ch === ')' || ch === ']' || ch === '}') { depth--; }
+        }
+        continued = line.trimEnd().endsWith('\\');
+    }
+    for (const stmt of statements) {
+        stmt.lines = lines.slice(stmt.start, stmt.end);
+        stmt.masked = maskedLines.slice(stmt.start, stmt.end);
+    }
+    return statements;
+}
+
+/** Removes trailing lines that are blank or only comments without any indentation. */
+function splitTrailingLines(stmt) {
+    let end = stmt.lines.length;
+    while (end > 1 && (stmt.masked[end - 1].trim() === '' && (stmt.lines[end - 1].trim() === '' || stmt.lines[end - 1].startsWith('#')))) { end--; }
+    return [stmt.lines.slice(0, end), stmt.lines.slice(end)];
+}
+
+function lineOffsets(lines) {
+    const offsets = [0];
+    for (const line of lines) { offsets.push(offsets[offsets.length - 1] + line.length + 1); }
+    return offsets;
+}
+
+function stringValue(literal) {
+    const match = /^[rRbBuUfF]{0,2}("""|'''|"|')([\s\S]*?)\1?$/.exec(literal);
+    return match ? match[2] : literal;
+}
+
+function dedent(lines) {
+    const indents = lines.filter(line => line.trim()).map(line => /^\s*/.exec(line)[0].length);
+    const indent = indents.length ? Math.min(...indents) : 0;
+    return lines.map(line => line.slice(Math.min(indent, /^\s*/.exec(line)[0].length)));
+}
+function trimBlankLines(lines) {
+    let start = 0, end = lines.length;
+    while (start < end && !lines[start].trim()) { start++; }
+    while (end > start && !lines[end - 1].trim()) { end--; }
+    return lines.slice(start, end);
+}
+
+/** Same as Python's inspect.cleandoc() */
+function cleanDocstring(doc) {
+    const lines = doc.replace(/\t/g, '    ').split('\n');
+    return trimBlankLines([lines[0].trim(), ...dedent(lines.slice(1))]).map(line => line.trimEnd());
+}
+
+/** Joins wrapped lines into paragraphs (separated by newlines). */
+function unwrap(lines) {
+    const paras = [];
+    let cur = [];
+    for (const line of lines) {
+        if (line.trim()) { cur.push(line.trim()); }
+        else if (cur.length) { paras.push(cur.join(' ')); cur = []; }
+    }
+    if (cur.length) { paras.push(cur.join(' ')); }
+    return paras.join('\n');
+}
+
+
+///// Types /////
+
+function needsParens(type) { return type.includes(' of ') || type.includes(' with '); }
+function wrapType(type) { return needsParens(type) ? `(${type})` : type; }
+function formatWithList(types) {
+    types = types.map(wrapType);
+    if (types.length <= 1) { return types.join(''); }
+    if (types.length === 2) { return `${types[0]} and ${types[1]}`; }
+    return `${types.slice(0, -1).join(', ')}, and ${types[types.length - 1]}`;
+}
+
+function parseTypeExpr(text) {
+    // returns a tree of {name, args} or throws if not a simple type expression
+    let i = 0;
+    function skipSpace() { while (i < text.length && /\s/.test(text[i])) { i++; } }
+    function parse() {
+        skipSpace();
+        if (text.startsWith('...', i)) { i += 3; return { name: '...' }; }
+        const quote = text[i] === '"' || text[i] === "'" ? text[i++] : null;
+        const match = /^[A-Za-z_][\w.]*/.exec(text.slice(i));
+        if (!match) { throw new Error(`unexpected character in type: ${text}`); }
+        i += match[0].length;
+        let name = match[0].replace(/^typing\./, '');
+        name = TYPE_ALIASES[name] || name;
+        const node = { name };
+        skipSpace();
+        if (text[i] === '[') {
+            i++;
+            node.args = [];
+            skipSpace();
+            if (text[i] === '(' && text[i+1] === ')') { i += 2; skipSpace(); } // tuple[()]
+            while (text[i] !== ']') {
+                node.args.push(parse());
+                skipSpace();
+                if (text[i] === ',') { i++; skipSpace(); }
+                else if (text[i] !== ']') { throw new Error(`unexpected character in type: ${text}`); }
+            }
+            i++;
+        }
+        if (quote) {
+            if (text[i] !== quote) { throw new Error(`unterminated string in type: ${text}`); }
+            i++;
+        }
+        return node;
+    }
+    const tree = parse();
+    skipSpace();
+    if (i !== text.length) { throw new Error(`unexpected character in type: ${text}`); }
+    return tree;
+}
+
+function typeTreeToString(node, original) {
+    const { name, args } = node;
+    if (!args) { return name; }
+    const types = args.map(arg => typeTreeToString(arg, original));
+    if (name === 'list') {
+        return types.length === 1 ? `list of ${wrapType(types[0])}` : `list with ${formatWithList(types)}`;
+    }
+    if (name === 'tuple') {
+        if (types.length === 2 && types[1] === '...') { return `tuple of ${wrapType(types[0])}`; }
+        return `tuple with ${formatWithList(types)}`;
+    }
+    if (name === 'set' && types.length === 1) { return `set of ${wrapType(types[0])}`; }
+    if (name === 'dict' && types.length === 2) {
+        return `dict with keys of ${wrapType(types[0])} associated with values of ${wrapType(types[1])}`;
+    }
+    throw new Error(`unsupported type: ${original}`);
+}
+
+/**
+ * Converts a Python type annotation to the planner's type string. This is the
+ * inverse of typeToPython() in save-load.js. For example:
+ *  - "int" -> "int"
+ *  - "list[int]" -> "list of int"
+ *  - "tuple[int, str]" -> "tuple with int and str"
+ *  - "dict[str, list[int]]" -> "dict with keys of str associated with values of (list of int)"
+ * Annotations that cannot be represented (e.g. unions) are returned unchanged
+ * (with whitespace normalized).
+ * @param {string} annotation
+ * @returns {string}
+ */
+export function pythonToType(annotation) {
+    annotation = annotation.trim().replace(/\s+/g, ' ');
+    if (!annotation) { return ''; }
+    try {
+        return typeTreeToString(parseTypeExpr(annotation), annotation);
+    } catch (e) {
+        return annotation;
+    }
+}
+function isPythonType(text) {
+    try { parseTypeExpr(text.trim()); return true; } catch (e) { return false; }
+}
+/** Converts a type from a docstring, which may be a planner type string or a Python annotation */
+function docstringType(text) {
+    text = text.trim();
+    return isPythonType(text) ? pythonToType(text) : text.replace(/\s+/g, ' ');
+}
+
+
+///// Docstrings /////
+
+const SPHINX_FIELD = /^[:@](param|parameter|arg|argument|key|keyword|type|returns?|rtype)\b([^:]*):\s*(.*)$/;
+const GOOGLE_SECTION = /^([A-Z][A-Za-z ]*):\s*$/;
+const GOOGLE_PARAM_SECTIONS = ['args', 'arguments', 'parameters', 'params', 'keyword args', 'keyword arguments'];
+const GOOGLE_RETURN_SECTIONS = ['returns', 'return'];
+const NUMPY_PARAM_SECTIONS = ['parameters', 'other parameters'];
+const NUMPY_RETURN_SECTIONS = ['returns'];
+
+/** Groups the lines of a section into entries, each starting at the least indented lines. */
+function sectionEntries(lines) {
+    const indents = lines.filter(line => line.trim()).map(line => /^\s*/.exec(line)[0].length);
+    const indent = indents.length ? Math.min(...indents) : 0;
+    const entries = [];
+    for (const line of lines) {
+        if (!line.trim()) { if (entries.length) { entries[entries.length - 1].rest.push(''); } continue; }
+        if (/^\s*/.exec(line)[0].length <= indent) { entries.push({ head: line.trim(), rest: [] }); }
+        else if (entries.length) { entries[entries.length - 1].rest.push(line); }
+    }
+    return entries;
+}
+
+function parseNumpyDocstring(lines) {
+    const result = { desc: [], params: [], returns: [] };
+    let section = null, sectionLines = [];
+    function finishSection() {
+        if (NUMPY_PARAM_SECTIONS.includes(section)) {
+            for (const { head, rest } of sectionEntries(sectionLines)) {
+                const [names, type] = head.split(/\s+:\s*|:\s+/, 2);
+                for (const name of names.split(',').map(name => name.trim()).filter(name => name)) {
+                    result.params.push({ name, type: type ? docstringType(type) : '', desc: unwrap(rest) });
+                }
+            }
+        } else if (NUMPY_RETURN_SECTIONS.includes(section)) {
+            for (const { head, rest } of sectionEntries(sectionLines)) {
+                const parts = head.split(/\s+:\s*|:\s+/, 2);
+                const type = parts.length > 1 ? parts[1] : parts[0];
+                result.returns.push({ type: docstringType(type), desc: unwrap(rest) });
+            }
+        }
+    }
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i].trim() && /^\s*-{3,}\s*$/.test(lines[i + 1] || '')) {
+            finishSection();
+            section = lines[i].trim().toLowerCase();
+            sectionLines = [];
+            i++;
+        } else if (section === null) { result.desc.push(lines[i]); }
+        else { sectionLines.push(lines[i]); }
+    }
+    finishSection();
+    return result;
+}
+
+function parseGoogleDocstring(lines) {
+    const result = { desc: [], params: [], returns: [] };
+    let section = null, sectionLines = [];
+    function finishSection() {
+        if (GOOGLE_PARAM_SECTIONS.includes(section)) {
+            for (const { head, rest } of sectionEntries(sectionLines)) {
+                const name = /^\**\w+/.exec(head)?.[0] || '';
+                let after = head.slice(name.length).trim(), type = '';
+                if (after.startsWith('(')) {
+                    const close = findMatchingBracket(after, 0);
+                    type = after.slice(1, close).replace(/,?\s*optional\s*$/, '');
+                    after = after.slice(close + 1).trim();
+                }
+                const desc = after.replace(/^:\s*/, '');
+                result.params.push({ name, type: type ? docstringType(type) : '', desc: unwrap([desc, ...rest]) });
+            }
+        } else if (GOOGLE_RETURN_SECTIONS.includes(section)) {
+            for (const { head, rest } of sectionEntries(sectionLines)) {
+                const colon = splitTopLevel(head, head, ':');
+                // only treat the part before the colon as a type if it looks like one
+                if (colon.length > 1 && (isPythonType(colon[0]) || /^\(?(int|float|str|bool|list|tuple|dict|set|object)\b/.test(colon[0].trim()))) {
+                    result.returns.push({ type: docstringType(colon[0]), desc: unwrap([colon.slice(1).join(':'), ...rest]) });
+                } else {
+                    result.returns.push({ type: '', desc: unwrap([head, ...rest]) });
+                }
+            }
+        }
+    }
+    for (const line of lines) {
+        const match = GOOGLE_SECTION.exec(line);
+        if (match) {
+            finishSection();
+            section = match[1].toLowerCase();
+            sectionLines = [];
+        } else if (section === null) { result.desc.push(line); }
+        else { sectionLines.push(line); }
+    }
+    finishSection();
+    return result;
+}
+
+function parseFieldDocstring(lines) {
+    // sphinx (:param x:) and epydoc (@param x:) styles
+    const result = { desc: [], params: [], returns: [] };
+    const params = {};
+    function getParam(name) {
+        if (!params[name]) { params[name] = { name, type: '', desc: [] }; result.params.push(params[name]); }
+        return params[name];
+    }
+    let target = result.desc;
+    for (const line of lines) {
+        const match = SPHINX_FIELD.exec(line.trim());
+        if (!match) { target.push(line); continue; }
+        const [, field, arg, text] = match;
+        const words = arg.trim().split(/\s+/).filter(word => word);
+        if (['param', 'parameter', 'arg', 'argument', 'key', 'keyword'].includes(field)) {
+            const param = getParam(words[words.length - 1] || '');
+            if (words.length > 1) { param.type = docstringType(words.slice(0, -1).join(' ')); }
+            param.desc.push(text);
+            target = param.desc;
+        } else if (field === 'type') {
+            getParam(words[0] || '').type = docstringType(text);
+            target = [];
+        } else if (field === 'rtype') {
+            let ret = result.returns.find(ret => !ret.type);
+            if (!ret) { ret = { type: '', desc: [] }; result.returns.push(ret); }
+            ret.type = docstringType(text);
+            target = [];
+        } else {
+            const ret = { type: '', desc: [text] };
+            result.returns.push(ret);
+            target = ret.desc;
+        }
+    }
+    for (const item of [...result.params, ...result.returns]) { item.desc = unwrap(item.desc); }
+    return result;
+}
+
+/**
+ * Parses a docstring in any of the supported styles (numpy, google, sphinx,
+ * or epydoc) into its description, parameters, and returns.
+ * @param {string} docstring the contents of the docstring (without quotes)
+ * @returns {{desc: string, params: {name: string, type: string, desc: string}[],
+ *  returns: {type: string, desc: string}[], style: string|null}} the types
+ *  are converted to planner type strings, style is null if no parameters or
+ *  returns sections were found
+ */
+export function parseDocstring(docstring) {
+    const lines = cleanDocstring(docstring);
+    let result, style;
+    if (lines.some((line, i) => i > 0 && /^\s*-{3,}\s*$/.test(line) && lines[i - 1].trim())) {
+        result = parseNumpyDocstring(lines); style = 'numpy';
+    } else if (lines.some(line => SPHINX_FIELD.exec(line.trim()))) {
+        result = parseFieldDocstring(lines); style = lines.some(line => line.trim().startsWith('@')) ? 'epydoc' : 'sphinx';
+    } else if (lines.some(line => GOOGLE_SECTION.exec(line))) {
+        result = parseGoogleDocstring(lines); style = 'google';
+    } else {
+        result = { desc: lines, params: [], returns: [] }; style = null;
+    }
+    return { ...result, desc: unwrap(result.desc), style };
+}
+
+
+///// Module /////
+
+function parseAuthors(text) {
+    text = text.trim();
+    if (!text || text === 'TODO') { return []; }
+    return text.split(/\s*,\s*and\s+|\s*,\s*|\s+and\s+/).map(name => name.trim()).filter(name => name);
+}
+
+function parseModuleDocstring(docstring) {
+    const lines = cleanDocstring(docstring);
+    let authors = [];
+    const byIndex = lines.findIndex(line => /^By:/i.test(line.trim()));
+    if (byIndex !== -1) {
+        authors = parseAuthors(lines[byIndex].trim().slice(3));
+        lines.splice(byIndex, 1);
+    }
+    let documentation = trimBlankLines(lines).join('\n');
+    if (documentation === 'TODO: program header') { documentation = ''; }
+    return { documentation, authors };
+}
+
+function parseParams(text, masked) {
+    const params = [];
+    const parts = splitTopLevel(text, masked);
+    let offset = 0;
+    for (const part of parts) {
+        const maskedPart = masked.slice(offset, offset + part.length);
+        offset += part.length + 1;
+        const withoutDefault = splitTopLevel(part, maskedPart, '=')[0];
+        const [name, annotation] = splitTopLevel(withoutDefault, maskedPart.slice(0, withoutDefault.length), ':');
+        if (!name.trim() || name.trim() === '*' || name.trim() === '/') { continue; }
+        params.push({ name: name.trim(), type: annotation ? pythonToType(annotation) : '' });
+    }
+    return params;
+}
+
+function inferIO(code, maskedCode) {
+    for (const [comment, io] of Object.entries(IO_COMMENTS)) {
+        if (code.includes(comment)) { return io; }
+    }
+    if (/(?<![\w.])input\s*\(/.test(maskedCode)) {
+        // input in a loop or try block is likely being validated
+        return /\b(while|try)\b/.test(maskedCode) ? 'validation' : 'input';
+    }
+    if (/(?<![\w.])print\s*\(/.test(maskedCode)) { return 'output'; }
+    return 'none';
+}
+
+function isStub(lines) {
+    const code = lines.map(line => line.trim()).filter(line => line);
+    return code[0] === STUB_COMMENT && code.slice(1).every(line => line.startsWith('#') || line === 'pass' || line.startsWith('return'));
+}
+
+function parseFunction(stmt, strings, offset) {
+    const [lines] = splitTrailingLines(stmt);
+    const text = lines.join('\n');
+    const masked = stmt.masked.slice(0, lines.length).join('\n');
+    const name = /^(?:async\s+)?def\s+(\w+)/.exec(masked)[1];
+
+    // the def line (which may span multiple lines)
+    const open = masked.indexOf('(');
+    const close = findMatchingBracket(masked, open);
+    if (close === -1) { throw new Error(`Unterminated parameter list in the definition of ${name}()`); }
+    const colon = masked.indexOf(':', close);
+    if (colon === -1) { throw new Error(`Missing ':' in the definition of ${name}()`); }
+    const params = parseParams(text.slice(open + 1, close), masked.slice(open + 1, close));
+    const arrow = masked.slice(close + 1, colon).indexOf('->');
+    const returnAnnotation = arrow === -1 ? '' : text.slice(close + 1 + arrow + 2, colon).trim();
+
+    // the body, starting with an optional docstring
+    let bodyStart = colon + 1;
+    let docstring = null;
+    const firstStatement = bodyStart + /^\s*/.exec(masked.slice(bodyStart))[0].length;
+    const docString = strings.find(str => str.start === offset + firstStatement);
+    if (docString && /^[ \t]*(\n|$)/.test(masked.slice(docString.end - offset))) {
+        docstring = stringValue(text.slice(docString.start - offset, docString.end - offset));
+        bodyStart = docString.end - offset;
+    }
+    let bodyLines = text.slice(bodyStart).split('\n');
+    let maskedLines = masked.slice(bodyStart).split('\n');
+    if (!bodyLines[0].trim()) { bodyLines = bodyLines.slice(1); maskedLines = maskedLines.slice(1); }
+    else { bodyLines[0] = bodyLines[0].trim(); maskedLines[0] = maskedLines[0].trim(); } // single-line def
+    const indent = /^\s*/.exec(bodyLines.find(line => line.trim()) || '')[0].length;
+    const unindent = (line) => line.slice(Math.min(indent, /^\s*/.exec(line)[0].length));
+    const codeLines = trimBlankLines(bodyLines.map(unindent));
+    const maskedCode = maskedLines.join('\n');
+
+    // combine the information from the def line and the docstring
+    const doc = docstring !== null ? parseDocstring(docstring) : { desc: '', params: [], returns: [] };
+    const docParams = Object.fromEntries(doc.params.map(param => [param.name.replace(/^\*+/, ''), param]));
+    const func = { name };
+    if (doc.desc) { func.desc = doc.desc; }
+    func.params = params.map(param => {
+        const docParam = docParams[param.name.replace(/^\*+/, '')] || {};
+        const result = { name: param.name };
+        const type = param.type || docParam.type;
+        if (type) { result.type = type; }
+        if (docParam.desc) { result.desc = docParam.desc; }
+        return result;
+    });
+    func.returns = parseReturns(returnAnnotation, doc.returns);
+    func.io = inferIO(codeLines.join('\n'), maskedCode);
+    if (codeLines.some(line => line.trim() === TESTABLE_COMMENT)) { func.testable = true; }
+    const stub = isStub(codeLines);
+    if (!stub) { func.code = codeLines.join('\n'); }
+    // stubs from the template have no real calls, only a comment listing them
+    const callsComment = stub ? CALLS_COMMENT.exec(codeLines.join('\n')) : null;
+    const commentCalls = callsComment ? Array.from(callsComment[1].matchAll(/(\w+)\(\)/g), match => match[1]) : [];
+    return { func, maskedCode, commentCalls };
+}
+
+function parseReturns(annotation, docReturns) {
+    if (annotation === 'None') { return []; }
+    let types = annotation ? [pythonToType(annotation)] : docReturns.map(ret => ret.type);
+    if (annotation && docReturns.length > 1) {
+        // multiple returns are exported as a tuple, split them back up
+        try {
+            const tree = parseTypeExpr(annotation.replace(/\s+/g, ' '));
+            if (tree.name === 'tuple' && tree.args?.length === docReturns.length) {
+                types = tree.args.map(arg => typeTreeToString(arg, annotation));
+            }
+        } catch (e) { /* keep as a single return */ }
+    }
+    const count = Math.max(types.length, docReturns.length);
+    return Array.from({ length: count }, (_, i) => {
+        const ret = {};
+        const type = (types.length === count ? types[i] : null) || docReturns[i]?.type;
+        if (type && type !== 'object') { ret.type = type; }
+        if (docReturns[i]?.desc) { ret.desc = docReturns[i].desc; }
+        return ret;
+    });
+}
+
+function findCalls(functions) {
+    const keys = {};
+    for (const { func, key } of functions) { if (!(func.name in keys)) { keys[func.name] = key; } }
+    const names = Object.keys(keys).map(name => name.replace(/[^\w]/g, ''));
+    if (names.length === 0) { return []; }
+    const regex = new RegExp(`(?<![\\w.])(${names.join('|')})\\s*\\(`, 'g');
+    const calls = [];
+    for (const { key, maskedCode, commentCalls } of functions) {
+        const called = new Set(commentCalls.filter(name => Object.hasOwn(keys, name)).map(name => keys[name]));
+        for (const match of maskedCode.matchAll(regex)) {
+            // skip nested definitions of functions with the same name
+            if (/\bdef\s+$/.test(maskedCode.slice(0, match.index))) { continue; }
+            called.add(keys[match[1]]);
+        }
+        for (const to of called) { calls.push({ from: key, to }); }
+    }
+    return calls;
+}
+
+function markIndirectIO(functions, calls) {
+    const byKey = Object.fromEntries(functions.map(({ func, key }) => [key, func]));
+    const calledBy = {};
+    for (const { from, to } of calls) { (calledBy[from] ??= []).push(to); }
+    function hasIO(key, checked=new Set()) {
+        if (checked.has(key)) { return false; }
+        checked.add(key);
+        if (['input', 'validation', 'output'].includes(byKey[key].io)) { return true; }
+        return (calledBy[key] || []).some(to => hasIO(to, checked));
+    }
+    for (const { func, key } of functions) {
+        if (func.io === 'none' && hasIO(key)) { func.io = 'indirect'; }
+    }
+}
+
+/**
+ * Parses Python source code into the same format as Model.exportModel().
+ * @param {string} source the Python source code
+ * @returns {object} the model data, with documentation, authors, globalCode,
+ *  functions, and calls
+ */
+export function parsePython(source) {
+    source = source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ');
+    const { masked, strings } = scanPython(source);
+    const statements = splitStatements(source, masked);
+    const offsets = lineOffsets(source.split('\n'));
+
+    const data = { documentation: '', authors: [] };
+    const globalCode = [];
+    const functions = [];
+    for (const [i, stmt] of statements.entries()) {
+        const first = stmt.masked[0];
+        const offset = offsets[stmt.start];
+        if (/^(async\s+)?def\s/.test(first)) {
+            const { func, maskedCode, commentCalls } = parseFunction(stmt, strings, offset);
+            functions.push({ key: (functions.length + 1).toString(), func, maskedCode, commentCalls });
+            globalCode.push(...splitTrailingLines(stmt)[1].filter(line => line.trim()));
+        } else if (/^if\s+__name__\s*==/.test(first)) {
+            continue; // the main guard is added back when exporting
+        } else if (i === 0 && strings.some(str => str.start === offset && /^\s*$/.test(masked.slice(str.end, offsets[stmt.end])))) {
+            const docstring = strings.find(str => str.start === offset);
+            Object.assign(data, parseModuleDocstring(stringValue(source.slice(docstring.start, docstring.end))));
+        } else if (!first.startsWith('@')) { // decorators have no equivalent in the plan
+            globalCode.push(...stmt.lines);
+        }
+    }
+
+    const code = trimBlankLines(globalCode).join('\n').replace(/\n{3,}/g, '\n\n');
+    if (code) { data.globalCode = code; }
+    data.calls = findCalls(functions);
+    markIndirectIO(functions, data.calls);
+    data.functions = functions.map(({ func, key }) => ({ key, ...func }));
+    return data;
+}
@@ -0,0 +1,150 @@
+/**
+ * Plays back how a plan was built from the updates recorded by the model (see
+ * the replay methods of Model). The plan is shown read-only in the normal
+ * planner over the rest of the page with controls for playing, pausing,
+ * scrubbing through the steps, and the playback speed. Recordings can be
+ * downloaded so instructors can replay them elsewhere (see replay.html).
+ *
+ * The exported functions are:
+ *  - showReplay(id, steps, options)
+ *  - replayToJSON(id, steps)
+ *  - replayFromJSON(text)
+ */
+
+import * as Y from 'yjs';
+
+import { Model } from './model.js';
+import { setupPlanner } from '../function-planner.js';
+import { dataURL } from './utils.js';
+
+const SPEEDS = [1, 2, 5, 10, 50];
+const MAX_STEP_DELAY = 2000; // ms between steps at normal speed, longer breaks are skipped
+const MIN_STEP_DELAY = 50; // ms between steps at any speed
+
+function toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) { binary += String.fromCharCode(byte); }
+    return btoa(binary);
+}
+function fromBase64(text) { return Uint8Array.from(atob(text), c => c.charCodeAt(0)); }
+
+/**
+ * Converts a recording to JSON text for downloading.
+ * @param {string} id the plan id
+ * @param {{time: number, update: Uint8Array}[]} steps from model.getReplay()
+ * @returns {string}
+ */
+export function replayToJSON(id, steps) {
+    return JSON.stringify({ planId: id, steps: steps.map(({ time, update }) => ({ time, update: toBase64(update) })) });
+}
+
+/**
+ * Reads a recording saved with replayToJSON().
+ * @param {string} text
+ * @returns {{planId: string, steps: {time: number, update: Uint8Array}[]}}
+ * @throws {Error} if the text is not a recording
+ */
+export function replayFromJSON(text) {
+    const { planId, steps } = JSON.parse(text);
+    if (!Array.isArray(steps) || !steps.every(step => Number.isFinite(step?.time) && typeof step.update === 'string')) {
+        throw new Error("Not a replay, expected 'steps' with times and updates");
+    }
+    return { planId: planId || 'plan', steps: steps.map(({ time, update }) => ({ time, update: fromBase64(update) })) };
+}
+
+function formatTime(time) {
+    return new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'medium' });
+}
+
+/**
+ * Plays back a recording until closed with the close button or Escape.
+ * @param {string} id the plan id
+ * @param {{time: number, update: Uint8Array}[]} steps the recorded updates, from model.getReplay()
+ * @param {object} options the planner options (see plannerOptions() in function-planner.js)
+ * @returns {function} function to close the replay
+ */
+export function showReplay(id, steps, options) {
+    const overlay = document.createElement('div');
+    overlay.className = 'func-planner-viewer';
+    let plannerDiv = document.createElement('div');
+    const close = document.createElement('button');
+    close.className = 'func-planner-viewer-close';
+    close.title = 'Close (Esc)';
+    close.textContent = '✕';
+    const controls = document.createElement('div');
+    controls.className = 'func-planner-replay-controls';
+    controls.innerHTML = `<button type="button" title="Play (Space)">▶</button>
+<input type="range" min="0" max="${Math.max(steps.length - 1, 0)}" value="0">
+<span></span>
+<select title="Speed">${SPEEDS.map(speed => `<option value="${speed}">${speed}×</option>`).join('')}</select>
+<a download="${id}-replay.json" href="${dataURL(replayToJSON(id, steps), 'application/json')}">Download</a>`;
+    overlay.append(plannerDiv, controls, close);
+    document.body.appendChild(overlay);
+    const [playButton, scrubber, label, speed] = [controls.querySelector('button'), controls.querySelector('input'), controls.querySelector('span'), controls.querySelector('select')];
+
+    let model = null, diagram = null, shown = -1, timeout = null;
+    function rebuild(index) {
+        // Yjs updates can't be undone so going backwards starts over with a new model
+        model?.destroy();
+        if (diagram) {
+            diagram.div = null; // releases the diagram's resources
+            const div = document.createElement('div');
+            plannerDiv.replaceWith(div);
+            plannerDiv = div;
+        }
+        // the model only has the recorded updates, without initial data or migrations
+        model = new Model(id, null, { persist: false, readOnly: true, migrate: false });
+        diagram = setupPlanner(plannerDiv, model, { ...options, title: options.title ?? id, adminMode: false, readOnly: true });
+        if (steps.length) { Y.applyUpdate(model.model, Y.mergeUpdates(steps.slice(0, index + 1).map(step => step.update))); }
+    }
+    function show(index) {
+        if (index < shown || !model) { rebuild(index); }
+        else { for (let i = shown + 1; i <= index; i++) { Y.applyUpdate(model.model, steps[i].update); } }
+        shown = index;
+        scrubber.value = index;
+        label.textContent = steps.length ? `${formatTime(steps[index].time)} (step ${index + 1} of ${steps.length})` : 'Nothing has been recorded';
+    }
+
+    function pause() {
+        clearTimeout(timeout);
+        timeout = null;
+        playButton.textContent = '▶';
+        playButton.title = 'Play (Space)';
+    }
+    function playNext() {
+        if (shown >= steps.length - 1) { pause(); return; }
+        const delay = Math.min(steps[shown + 1].time - steps[shown].time, MAX_STEP_DELAY) / speed.value;
+        timeout = setTimeout(() => { show(shown + 1); playNext(); }, Math.max(delay, MIN_STEP_DELAY));
+    }
+    function play() {
+        if (shown >= steps.length - 1) { show(0); } // start over
+        playButton.textContent = '⏸';
+        playButton.title = 'Pause (Space)';
+        playNext();
+    }
+
+    playButton.addEventListener('click', () => { if (timeout) { pause(); } else { play(); } });
+    playButton.disabled = steps.length < 2;
+    scrubber.addEventListener('input', () => { pause(); show(parseInt(scrubber.value)); });
+    speed.addEventListener('change', () => { if (timeout) { clearTimeout(timeout); playNext(); } });
+    show(0);
+
+    function onKeyDown(e) {
+        if (document.querySelector('.swal2-container')) { return; }
+        if (e.key === 'Escape') { closeReplay(); }
+        else if (e.key === ' ' && !e.target.closest('input, textarea, select, [contenteditable]')) {
+            e.preventDefault();
+            playButton.click();
+        }
+    }
+    function closeReplay() {
+        pause();
+        document.removeEventListener('keydown', onKeyDown);
+        diagram.div = null; // releases the diagram's resources
+        model.destroy();
+        overlay.remove();
+    }
+    close.addEventListener('click', closeReplay);
+    document.addEventListener('keydown', onKeyDown);
+    return closeReplay;
+}
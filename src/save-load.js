@@ -4,23 +4,41 @@
  * 
  * The exported functions are:
  *  - setupDragAndDrop(model, options={}, div)
- *  - pythonDefLine(name, params, returns, withTypes=true, simple=false)
  *  - exportToPython(model, options, withTypes=true)
  *  - exportPythonTests(model, options)
  *  - reset(model, options, confirm=true)
  *  - saveJSON(model, options, includeProblems=false)
+ *  - shareLink(model, options)
+ *  - exportAssignment(model, options)
  *  - loadJSON(model, options)
  *  - importJSON(model, options)
+ *  - loadPython(model, options)
+ *  - checkAgainstPython(model, options)
+ *  - showPlanError(e, options, title)
  */
 
 import Swal from 'sweetalert2';
 
+import { parsePython } from './python-import.js';
+import { generatePythonTemplate, generatePythonTests } from './python-export.js';
+import { conformanceReport } from './conformance.js';
+import { validateAssignment, makeAssignment, assignmentToText } from './assignment.js';
+import { readPlan, PlanError } from './plan-schema.js';
+import { FUNCTION_COUNT_LIMITS } from './problem-checker.js';
+import { makeShareLink, MAX_SHARE_LINK_LENGTH } from './share-link.js';
+import { escapeHtml, dataURL } from './utils.js';
+
 import pythonIcon from '../images/python.svg';
 import unitTestsIcon from '../images/unit-tests.svg';
 import saveIcon from '../images/save.svg';
+import codeCheckIcon from '../images/code-check.svg';
+import assignmentIcon from '../images/assignment.svg';
+import mergeIcon from '../images/merge.svg';
+import shareIcon from '../images/share.svg';
 
-export const DEFAULT_PROGRAM_HEADER = "TODO: program header";
 const DRAG_OVER_CLASS = 'func-planner-drag-over';
+const FPLAN_EXT = '.fplan'; // files with the whole Yjs state of a plan (see Model.exportState())
+const FPLAN_MIME = 'application/octet-stream';
 
 function copyToClipboard(text) {
     if (navigator.clipboard && window.isSecureContext) {
@@ -44,313 +62,6 @@ function downloadDataAsFile(filename, text, mime='text/plain') {
     document.body.removeChild(link);
 }
 
-function wrapText(text, {width=80, indent=4, firstLineIndent=indent}={}) {
-    firstLineIndent = " ".repeat(firstLineIndent-1); // subtract 1 because we add a space before each word in the loop
-    indent = " ".repeat(indent-1);
-    return text.split("\n").map((para, i) => {
-        const lines = [];
-        let curLine = i === 0 ? firstLineIndent : indent;
-        para.trim().split(" ").forEach((word) => {
-            if ((curLine + " " + word).length > width) {
-                lines.push(curLine);
-                curLine = indent + word;
-            } else {
-                curLine += " " + word;
-            }
-        });
-        lines.push(curLine);
-        return lines.join("\n");
-    }).join("\n");
-}
-function wrapText48(text) {
-    return wrapText(text, {indent: 8, firstLineIndent: 4});
-}
-function indentText(text, indent=4) {
-    indent = " ".repeat(indent);
-    return text.split("\n").map(line => indent + line).join("\n");
-}
-
-function splitOnMatchingParen(str) {
-    let stack = [];
-    for (let i = 0; i < str.length; i++) {
-        const char = str[i];
-        if (char === '(') {
-            stack.push(i);
-        } else if (char === ')') {
-            const matchIndex = stack.pop();
-            if (matchIndex === 0) {
-                return [str.slice(1, i).trim(), str.slice(i + 1).trim()];
-            }
-        }
-    }
-    return [null, str];
-}
-function splitOnCommasIgnoringParens(str) {
-    const results = [];
-    let current = '';
-    let parenDepth = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str[i];
-        if (char === '(') {
-            parenDepth++;
-            current += char;
-        } else if (char === ')') {
-            parenDepth--;
-            current += char;
-        } else if (char === ',' && parenDepth === 0) {
-            // Split here - comma is not inside parentheses
-            results.push(current.trim());
-            current = '';
-        } else {
-            current += char;
-        }
-    }
-    // Add the last part
-    if (current) { results.push(current.trim()); }
-    return results;
-}
-function removeOuterParens(text) {
-    text = text.trim();
-    if (text.startsWith("(") && text.endsWith(")")) {
-        let [part, rest] = splitOnMatchingParen(text);
-        if (rest === "") { return part; }
-    }
-    return text;
-}
-function normalizeString(text) {
-    return removeOuterParens(text.trim().replace(/\s+/g, ' '));
-}
-function mapList(text, fn) {
-    text = normalizeString(text);
-    text = text.replace(/, ?and\b/, ',').replace(/ and\b/, ', ');  // normalize "and"s to commas
-    return splitOnCommasIgnoringParens(text).map(x => fn(x.trim(), true)).join(", ");
-}
-
-function processDictType(type, fn) {
-    type = type.slice(10);
-    let [key, value] = type.split(" associated with ");  // TODO: nested
-    if (key.startsWith("keys of ")) { key = key.slice(8); }
-    if (value.startsWith("values of ")) { value = value.slice(10); }
-    return [fn(key, true), fn(value, true)];
-}
-function processPlural(type) {
-    // first word can be ints, floats, strs, bools, tuples, dicts, sets
-    let parts = type.split(" ");
-    if (parts[0].endsWith("s")) { parts[0] = parts[0].slice(0, -1); } // remove trailing 's' for plural types
-    return parts.join(" ");
-}
-
-const DEFAULT_VALUES = {
-    "int": "0",
-    "str": '""',
-    "float": "0.0",
-    "bool": "False",
-    "list": "[]",
-    "tuple": "()",
-    "dict": "{}",
-    "set": "set()",
-}
-function defaultReturnValue(type, plural=false) {
-    type = normalizeString(type);
-    if (plural) { type = processPlural(type); }
-    if (DEFAULT_VALUES[type]) { return DEFAULT_VALUES[type]; }
-    if (type.startsWith("list of ")) { return `[${defaultReturnValue(type.slice(8), true)}]`; }
-    if (type.startsWith("list with ")) { return `[${mapList(type.slice(10), defaultReturnValue)}]`; }
-    if (type.startsWith("tuple of ")) { return `(${defaultReturnValue(type.slice(9), true)},)`; }
-    if (type.startsWith("tuple with ")) { return `(${mapList(type.slice(11), defaultReturnValue)})`; }
-    if (type.startsWith("dict of ")) { return `{"": ${defaultReturnValue(type.slice(8), true)}}`; }
-    if (type.startsWith("dict with ")) { return `{${processDictType(type, defaultReturnValue).join(": ")}}`; }
-    if (type.startsWith("set of ")) { return `{${defaultReturnValue(type.slice(7), true)}}`; }
-    return "None";
-}
-function typeToPython(type, plural=false) {
-    type = normalizeString(type);
-    if (plural) { type = processPlural(type); }
-    if (type.startsWith("list of ")) { return `list[${typeToPython(type.slice(8), true)}]`; }  // homogeneous list
-    if (type.startsWith("list with ")) { return `list[${mapList(type.slice(10), typeToPython)}]`; }  // heterogeneous list (technically not supported in Python)
-    if (type.startsWith("tuple of ")) { return `tuple[${typeToPython(type.slice(9), true)}, ...]`; }  // homogeneous tuple
-    if (type.startsWith("tuple with ")) { return `tuple[${mapList(type.slice(11), typeToPython)}]`; }  // heterogeneous tuple
-    if (type.startsWith("dict of ")) { return `dict[str, ${typeToPython(type.slice(8), true)}]`; }  // dict with keys as strings
-    if (type.startsWith("dict with ")) { return `dict[${processDictType(type, typeToPython).join(", ")}]`; }  // dict with specified key and value types
-    if (type.startsWith("set of ")) { return `set[${typeToPython(type.slice(7), true)}]`; }  // homogeneous set
-    return type;
-}
-
-
-const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
-function letter(n) { return ALPHABET.charAt(n % ALPHABET.length); }
-function getParam(param, i, withTypes=true) {
-    let name = (param.name || letter(i)).trim();
-    if (!withTypes || !param.type) { return name; }
-    return `${name}: ${typeToPython(param.type)}`;
-}
-/**
- * Generates a Python function definition line.
- * @param {string} name The function name.
- * @param {*} params The function parameters.
- * @param {*} returns The function return types.
- * @param {boolean} withTypes Whether to include type annotations.
- * @param {boolean} simple Whether to generate a simple def line without the "def" keyword and colon.
- * @returns {string} The Python function def line.
- */
-export function pythonDefLine(name, params, returns, withTypes=true, simple=false) {
-    const paramsDef = params.map((p, i) => getParam(p, i, withTypes));
-    let returnDef = "";
-    if (withTypes && returns.length > 0) {
-        const returnTypes = returns.map(ret => ret.type ? typeToPython(ret.type) : "object");
-        returnDef = " -> " + ((returns.length === 1) ? returnTypes[0] : `tuple[${returnTypes.join(", ")}]`);
-    }
-    const def = `${name}(${paramsDef.join(", ")})${returnDef}`;
-    return simple ? def : `def ${def}:`;
-}
-class DocstringFormatter {
-    paramHeader = '';
-    returnHeader = '';
-    param(name, desc, type) { return ''; }
-    return(desc, type) { return ''; }
-}
-class NumpyDocstringFormatter extends DocstringFormatter {
-    paramHeader = 'Parameters\n    ----------\n';
-    returnHeader = 'Returns\n    -------\n';
-    param(name, desc, type) { return wrapText48(name + (type ? ` : ${type}` : "") + `\n${desc}\n`); }
-    return(desc, type) { return wrapText48((type ? type : "object") + `\n${desc}\n`); }
-}
-class GoogleDocstringFormatter extends DocstringFormatter {
-    paramHeader = 'Args:\n';
-    returnHeader = 'Returns:\n';
-    param(name, desc, type) { return wrapText(`${name}${type ? ` (${type})` : ""}: ${desc}`, {indent: 12, firstLineIndent: 8}); }
-    return(desc, type) { return wrapText(`${type ? `${type}: ` : ""}${desc}`, {indent: 12, firstLineIndent: 8}); }
-}
-class SphinxDocstringFormatter extends DocstringFormatter {
-    param(name, desc, type) { return wrapText48(`:param ${name}: ${desc}`) + "\n" + (type ? wrapText48(`:type ${name}: ${type}`) + "\n" : ""); }
-    return(desc, type) { return wrapText48(`:return: ${desc}`) + "\n" + (type ? wrapText48(`:rtype: ${type}`) + "\n" : ""); }
-}
-class EpydocDocstringFormatter extends DocstringFormatter {
-    param(name, desc, type) { return wrapText48(`@param ${name}: ${desc}`) + "\n" + (type ? wrapText48(`@type ${name}: ${type}`) + "\n" : ""); }
-    return(desc, type) { return wrapText48(`@return: ${desc}`) + "\n" + (type ? wrapText48(`@rtype: ${type}`) + "\n" : ""); }
-}
-const DOCSTYLES = {
-    "numpy": new NumpyDocstringFormatter(),
-    "google": new GoogleDocstringFormatter(),
-    "sphinx": new SphinxDocstringFormatter(),
-    "epydoc": new EpydocDocstringFormatter(),
-}
-function pythonDocstring(desc, options, params, returns) {
-    let docstring = `    """\n${wrapText(desc)}\n\n`;
-    const docStyle = (options.docStyle || "numpy").toLowerCase(); // default is numpy: easy to read and explicitly supports multiple returns
-    if (!DOCSTYLES[docStyle]) { console.warn(`Unknown docstring style: ${docStyle}. Defaulting to numpy style.`); }
-    const formatter = DOCSTYLES[docStyle] || DOCSTYLES["numpy"];
-    if (formatter.paramHeader && params.length > 0) { docstring += `    ${formatter.paramHeader}`; }
-    for (const [i, param] of params.entries()) {
-        docstring += formatter.param(param.name || letter(i), param.desc || "TODO", param.type);
-    }
-    if (formatter.returnHeader && returns.length > 0) {
-        if (params.length > 0) { docstring += "\n"; }
-        docstring += `    ${formatter.returnHeader}`;
-    }
-    for (const [i, ret] of returns.entries()) {
-        docstring += formatter.return(ret.desc || "TODO", ret.type);
-    }
-    docstring = docstring.trimEnd() + '\n    """\n';
-    return docstring;
-}
-function authorString(authors) {
-    return (authors.length === 0) ? 'TODO' :
-         (authors.length === 1) ? authors[0] :
-         (authors.length === 2) ? authors[0] + ' and ' + authors[1] :
-         (authors.slice(0, -1).join(', ') + ', and ' + authors.slice(-1)[0])
-}
-// if authors is null, use all authors and don't split it up
-// if authors is provided, only include those authors in the export (array or string)
-// if authors is contains an empty string, include the unspecified author functions as well
-function dealWithAuthors(model, authors) {
-    const modelAuthors = model.modelData.get('authors')?.toJSON() || [];
-
-    const includeAll = authors == null;
-    const includeUnspecified = authors === '' || (Array.isArray(authors) && authors.includes(''));
-    if (includeAll) { authors = modelAuthors; }
-    // ensures that authors is always an array of trimmed non-empty strings, even if the input is a single string or null/undefined
-    authors = (Array.isArray(authors) ? authors : (typeof authors === 'string' ? [authors] : [])).map(name => name.trim()).filter(name => name.length > 0);
-
-    const by = includeUnspecified ? authorString(modelAuthors) : authorString(authors);
-
-    const functions = Array.from(model.functions.entries()).filter(([key, func]) => {
-        const owner = func.get('owner')?.toString() || '';
-        return includeAll || (includeUnspecified && owner === '') || authors.includes(owner);
-    });
-
-    return { by, functions };
-}
-// Performs a topological sort of the functions based on calls to ensure that called functions are
-// defined before they are called. If there is a cycle, somewhat ignore it.
-function sortFunctions(model, functions) {
-    const sortedKeys = [];
-    const visited = new Set();
-
-    function visit(key) {
-        if (visited.has(key)) { return; }
-        visited.add(key);
-        for (const calledKey of (model.calledFunctions[key] || [])) { visit(calledKey); }
-        sortedKeys.push(key);
-    }
-
-    for (const [key] of functions) {
-        if (!model.callingFunctions[key]) { visit(key); }
-    }
-
-    const funcMap = Object.fromEntries(functions);
-    return sortedKeys.map(key => [key, funcMap[key]]).filter(([key, func]) => func);
-}
-function generatePythonTemplate(model, options, authors=null, withTypes=true) {
-    const data = model.modelData.toJSON();
-    const { by, functions } = dealWithAuthors(model, authors);
-    let text = `"""\n${data.documentation || DEFAULT_PROGRAM_HEADER}\n\nBy: ${by}\n"""\n\n`;
-    if (data.globalCode) { text += `${data.globalCode}\n\n`; }
-    const funcs = authors == null ? sortFunctions(model, functions) : functions; // TODO: if authors is specified, we should still sort the functions, but only based on the calls between the included functions (ignore calls to excluded functions) - currently we just don't sort at all if authors is specified, which can lead to called functions being defined after their calls
-    let hasMainFunc = false;
-
-    for (const [key, func] of funcs) {
-        // Create the def line
-        const name = func.get("name")?.toString() || `function${key}`;
-        if (name === 'main') { hasMainFunc = true; }
-        const params = func.get("params")?.toJSON() || [];
-        const returns = func.get("returns")?.toJSON() || [];
-        let funcText = pythonDefLine(name, params, returns, withTypes) + "\n";
-
-        // Create the docstring
-        const desc = func.get("desc")?.toString() || "";
-        if (desc) { funcText += pythonDocstring(desc, options, params, returns); }
-
-        const code = func.get("code")?.toString() || "";
-        if (code) {
-            // Pre-provided code if available
-            funcText += indentText(code, 4);
-        } else {
-            // Body comments
-            funcText += "    # TODO: implement this function\n";
-            const calls = model.calledFunctions[key]?.map(
-                toKey => model.functions.get(toKey)?.get("name")?.toString() || `function${toKey}`
-            );
-            if (calls?.length > 0) { funcText += `    # Calls ${calls.map(call => call + "()").join(", ")}\n`; }
-            const io = func.get("io") || "none";
-            if (io === "validation") { funcText += `    # Has direct user input that requires validation\n`; }
-            else if (io === "input") { funcText += `    # Has direct user input\n`; }
-            else if (io === "output") { funcText += `    # Has direct user output\n`; }
-
-            // Dummy return statement
-            if (returns.length > 0) {
-                funcText += `    return ${returns.map(ret => defaultReturnValue(ret.type)).join(", ")}`;
-            } else {
-                funcText += "    pass";
-            }
-        }
-
-        text += funcText + "\n\n\n";
-    }
-    if (hasMainFunc) { text += 'if __name__ == "__main__":\n    main()\n'; }
-    text = text.replace(/[ \t\f\v]+$/gm, '');  // remove all trailing whitespace
-    return text;
-}
 /**
  * Exports the model to a Python template and copies it to the clipboard.
  * @param {*} model
@@ -364,25 +75,6 @@ export function exportToPython(model, options, withTypes=true) {
         "Python template copied to clipboard.<br>Paste it into a Python file.",
     )
 }
-function generatePythonTests(model, authors=null) {
-    const data = model.modelData.toJSON();
-    const { by, functions } = dealWithAuthors(model, authors);
-    let text = `"""\n${data.testDocumentation || "Tests for the " + model.id + " module"}\n\nBy: ${by}\n"""\n\nimport pytest\n\nimport ` + model.id + `\n\n`;
-    if (data.testGlobalCode) { text += `${data.testGlobalCode}\n\n`; }
-
-    for (const [key, func] of functions) {
-        if (func.get("testable")) {
-            const name = func.get("name")?.toString() || `function${key}`;
-            const testCode = func.get("testCode")?.toString() || "";
-            text += `def test_${name}():\n`;
-            text += testCode ? indentText(testCode, 4) : `    # TODO: write tests for ${name}()\n    pass`;
-            text += `\n\n`;
-        }
-    }
-    text += `if __name__ == '__main__':\n    pytest.main(["--no-header", "--tb=short"])\n`;
-    text = text.replace(/[ \t\f\v]+$/gm, '');  // remove all trailing whitespace
-    return text;
-}
 /**
  * Exports the model to a Python test template and copies it to the clipboard.
  * @param {*} model 
@@ -396,10 +88,6 @@ export function exportPythonTests(model, options={}) {
     )
 }
 
-function dataURL(text, mime='text/plain;charset=utf-8') {
-    return `data:${mime},${encodeURIComponent(text)}`;
-}
-
 function exportTemplate(
     model, options, generateFunc,
     title, icon, desc, filenameSuffix="",
@@ -458,21 +146,53 @@ function confirmDialog(title, text, confirmFunc, theme='auto') {
     }).then((res) => { if (res.isConfirmed) { confirmFunc(); } });
 }
 
-function mergeModel(model, data) {
-    const maxKey = Array.from(model.functions).reduce((max, n) => Math.max(max, parseInt(n.key)), -1);
-    data.model.transact(() => {
-        data.functions.forEach(func => {
-            const key = (parseInt(func.key) + maxKey).toString();
-            func = { ...func };
-            delete func.key;
-            model.functions.set(key, model.convertFuncData(func));
-        });
-        data.calls.forEach(call => {
-            const from = (parseInt(call.from) + maxKey).toString();
-            const to = (parseInt(call.to) + maxKey).toString();
-            model.calls.set(`${from}-${to}`, true);
+const MERGE_RESOLUTIONS = { rename: 'Keep both (rename)', skip: 'Skip', replace: 'Replace existing' };
+
+function selectOptions(values, selected) {
+    return Object.entries(values).map(([value, label]) =>
+        `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('');
+}
+
+/**
+ * Merge a plan into the model, first asking how to resolve functions with
+ * the same names as existing ones and which existing function (if any)
+ * should call the imported top-level functions.
+ * @param {*} model
+ * @param {object} options
+ * @param {object} data the plan to merge (already validated)
+ */
+async function mergeModel(model, options, data) {
+    const conflicts = model.findMergeConflicts(data);
+    const called = new Set(data.calls.map(({ to }) => to.toString()));
+    const roots = data.functions.filter(func => !called.has(func.key.toString()));
+    const existing = Array.from(model.functions.entries()).map(([key, func]) => [key, func.get('name')?.toString().trim() || `function${key}`]);
+    if (conflicts.length > 0 || (roots.length > 0 && existing.length > 0)) {
+        const result = await Swal.fire({
+            theme: options.theme,
+            imageUrl: mergeIcon,
+            imageWidth: "6em",
+            title: "Merge Plan",
+            html: `<div class="func-planner-merge">
+${conflicts.length ? `<p>These functions are already in the plan:</p><table>${conflicts.map(({ key, name }) =>
+    `<tr><td><code>${escapeHtml(name)}()</code></td><td><select data-key="${escapeHtml(key)}">${selectOptions(MERGE_RESOLUTIONS, 'rename')}</select></td></tr>`
+).join('')}</table>` : ''}
+${existing.length ? `<label>Call the imported top-level functions (${roots.map(func => `<code>${escapeHtml(func.name || 'function')}()</code>`).join(', ')}) from
+<select name="caller"><option value="">none</option>${selectOptions(Object.fromEntries(existing), '')}</select></label>` : ''}
+</div>`,
+            showCancelButton: true,
+            showCloseButton: true,
+            confirmButtonText: "Merge",
+            preConfirm: () => {
+                const popup = Swal.getPopup();
+                const resolutions = Object.fromEntries(Array.from(popup.querySelectorAll('select[data-key]')).map(select => [select.dataset.key, select.value]));
+                return { resolutions, caller: popup.querySelector('select[name="caller"]')?.value || null };
+            },
         });
-    });
+        if (!result.isConfirmed) { return; }
+        model.mergeModel(data, result.value);
+    } else {
+        model.mergeModel(data);
+    }
 }
 
 /**
@@ -503,10 +223,127 @@ export function saveJSON(model, options={}) {
         imageWidth: "6em",
         title: "JSON Copied",
         html: "JSON version copied to clipboard.<br>Save to a file so it can be reloaded later.<br>" +
-            `<a href="${dataURL(json, 'application/json')}" download="${model.id}-plan.json">Click here to download it.</a>`,
+            `<a href="${dataURL(json, 'application/json')}" download="${model.id}-plan.json">Click here to download it.</a><br><br>` +
+            `<small>To merge copies of this plan edited separately, <a class="fplan-link" download="${model.id}.fplan">download the full plan</a> instead.</small>`,
+        showCloseButton: true,
+        willOpen: (popup) => {
+            const blob = new Blob([model.exportState()], { type: FPLAN_MIME });
+            popup.querySelector("a.fplan-link").href = URL.createObjectURL(blob);
+        },
+        willClose: (popup) => { URL.revokeObjectURL(popup.querySelector("a.fplan-link").href); },
+    });
+}
+
+/**
+ * Copy a link to the clipboard that opens a read-only copy of the plan (see
+ * share-link.js). The plan is in the link itself, so later changes to the
+ * plan are not shared.
+ * @param {*} model
+ * @param {object} options
+ */
+export async function shareLink(model, options={}) {
+    const link = await makeShareLink(model.exportModel(), window.location.href);
+    copyToClipboard(link);
+    const warning = link.length > MAX_SHARE_LINK_LENGTH ?
+        `<br><br><strong>This plan is large, so the link is ${link.length.toLocaleString()} characters long and may not work everywhere.</strong> Consider sharing the JSON file instead.` : '';
+    Swal.fire({
+        theme: options.theme,
+        imageUrl: shareIcon,
+        imageWidth: "6em",
+        title: "Share Link Copied",
+        html: "A link to a read-only copy of this plan was copied to the clipboard. " +
+            "Anyone who opens it can look at the plan as it is now and fork it into their own plan." + warning,
         showCloseButton: true,
     });
 }
+
+const ASSIGNMENT_TYPES = ['int', 'float', 'str', 'bool', 'list', 'tuple', 'dict', 'set', 'custom'];
+const DOC_STYLE_NAMES = { numpy: 'NumPy', google: 'Google', sphinx: 'Sphinx', epydoc: 'Epydoc' };
+const DESC_LENGTHS = [
+    ['minModuleDescLength', 'Program header', 25],
+    ['minFuncDescLength', 'Function description', 20],
+    ['minParamDescLength', 'Parameter description', 12],
+    ['minReturnDescLength', 'Return description', 12],
+];
+
+/**
+ * Export the current plan as an assignment (see assignment.js) with the
+ * options chosen in a dialog, starting with the current options. The plan is
+ * the initial model of the assignment, including which parts are read-only
+ * and shown, so this is meant to be used in admin mode.
+ * @param {*} model
+ * @param {object} options
+ */
+export function exportAssignment(model, options={}) {
+    const attr = (value) => escapeHtml((value ?? '').toString());
+    const number = (option, placeholder) =>
+        `<input type="number" min="0" name="${option}" value="${attr(options[option])}" placeholder="${attr(placeholder)}">`;
+    const allowedTypes = options.allowedTypes || [];
+    const html = `<form class="func-planner-assignment">
+<label><span>Name:</span><input type="text" name="name" value="${attr(document.title)}"></label>
+<label><span>Plan ID:</span><input type="text" name="planId" value="${attr(model.id)}" required pattern="[\\w\\-]+"></label>
+<label><span>Title:</span><input type="text" name="title" value="${attr(options.title)}" placeholder="none"></label>
+<fieldset><legend>Allowed Types</legend>${ASSIGNMENT_TYPES.map(type =>
+    `<label><input type="checkbox" name="allowedTypes" value="${type}" ${allowedTypes.includes(type) ? 'checked' : ''}>${type}</label>`).join(' ')}</fieldset>
+<fieldset><legend>Number of Functions</legend><table><tr><th></th><th>Min</th><th>Max</th></tr>${FUNCTION_COUNT_LIMITS.map(limit =>
+    `<tr><td>${limit.label}</td><td>${number(limit.min, limit.defaultMin)}</td><td>${number(limit.max, 'none')}</td></tr>`).join('')}</table></fieldset>
+<fieldset><legend>Minimum Description Lengths</legend>${DESC_LENGTHS.map(([option, label, length]) =>
+    `<label><span>${label}:</span>${number(option, length)}</label>`).join('')}</fieldset>
+<label><span>Docstring Style:</span><select name="docStyle">${Object.entries(DOC_STYLE_NAMES).map(([style, name]) =>
+    `<option value="${style}" ${(options.docStyle || 'numpy') === style ? 'selected' : ''}>${name}</option>`).join('')}</select></label>
+<label><span>Functions can be claimed:</span><input type="checkbox" name="canClaimFuncs" ${options.canClaimFuncs ? 'checked' : ''}></label>
+</form>`;
+
+    Swal.fire({
+        theme: options.theme,
+        imageUrl: assignmentIcon,
+        imageWidth: "6em",
+        title: "Export as Assignment",
+        html,
+        showCancelButton: true,
+        showCloseButton: true,
+        confirmButtonText: "Export",
+        preConfirm: () => {
+            const form = Swal.getPopup().querySelector('form');
+            if (!form.reportValidity()) { return false; }
+            const data = new FormData(form);
+            const count = (option) => data.get(option) === '' ? null : parseInt(data.get(option));
+            const settings = {
+                name: data.get('name').trim(),
+                planId: data.get('planId').trim(),
+                title: data.get('title').trim(),
+                allowedTypes: data.getAll('allowedTypes'),
+                ...Object.fromEntries(FUNCTION_COUNT_LIMITS.flatMap(limit => [[limit.min, count(limit.min)], [limit.max, count(limit.max)]])),
+                ...Object.fromEntries(DESC_LENGTHS.map(([option]) => [option, count(option)])),
+                docStyle: data.get('docStyle') === 'numpy' ? null : data.get('docStyle'),
+                canClaimFuncs: data.get('canClaimFuncs') ? true : null,
+                callGraphOnly: options.callGraphOnly || null,
+                rubric: options.rubric || null,
+            };
+            const assignment = makeAssignment(model, settings);
+            const errors = validateAssignment(assignment);
+            if (errors.length > 0) { Swal.showValidationMessage(errors.map(escapeHtml).join('<br>')); return false; }
+            return assignment;
+        },
+    }).then(async (result) => {
+        if (!result.isConfirmed) { return; }
+        const assignment = result.value;
+        const json = await assignmentToText(assignment, 'json');
+        const yaml = await assignmentToText(assignment, 'yaml');
+        copyToClipboard(json);
+        Swal.fire({
+            theme: options.theme,
+            imageUrl: assignmentIcon,
+            imageWidth: "6em",
+            title: "Assignment Copied",
+            html: "Assignment JSON copied to clipboard.<br>" +
+                `Save it in <code>public/assignments/</code> and open it with <code>planner.html?assignment=${escapeHtml(assignment.planId)}</code>.<br>` +
+                `Download as <a href="${dataURL(json, 'application/json')}" download="${assignment.planId}.json">JSON</a> ` +
+                `or <a href="${dataURL(yaml, 'application/yaml')}" download="${assignment.planId}.yaml">YAML</a>.`,
+            showCloseButton: true,
+        });
+    });
+}
 /**
  * Load JSON data into the model, replacing the current model.
  * @param {*} model
@@ -520,6 +357,18 @@ export function loadJSON(model, options={}) {
         input: "textarea",
         showCancelButton: true,
         showCloseButton: true,
+        footer: `<a href="#" class="func-planner-open-file">Or open a .json, .py, or ${FPLAN_EXT} file</a>`,
+        didOpen: (popup) => {
+            popup.querySelector(".func-planner-open-file").addEventListener("click", (e) => {
+                e.preventDefault();
+                const input = document.createElement("input");
+                input.type = "file";
+                input.accept = `.json,.py,${FPLAN_EXT},application/json`;
+                input.addEventListener("change", () => { if (input.files[0]) { loadFile(model, options, input.files[0]); } });
+                Swal.close();
+                input.click();
+            });
+        },
         inputValidator: (value) => {
             if (!value) { return "JSON data is required."; }
             try {
@@ -534,15 +383,17 @@ export function loadJSON(model, options={}) {
     });
 }
 /**
- * Import JSON data into the model, "merging" with the current model.
+ * Import JSON data into the model, merging it with the current model.
  * @param {*} model
  * @param {object} options 
  */
 export function importJSON(model, options={}) {
     Swal.fire({
         theme: options.theme,
-        title: "Import JSON",
-        html: "Select a JSON file to import.<br>This will <em>merge</em> the current plan.",
+        imageUrl: mergeIcon,
+        imageWidth: "6em",
+        title: "Merge JSON",
+        html: "Paste the JSON data below.<br>Its functions will be <em>merged</em> into the current plan.",
         input: "textarea",
         showCancelButton: true,
         showCloseButton: true,
@@ -562,25 +413,194 @@ export function importJSON(model, options={}) {
 
 function loadJSONString(model, options={}, json, merge=false) {
     try {
-        const data = JSON.parse(json);
-        if (!data.functions || !data.calls) { throw new Error("Invalid JSON format. Expected 'functions' and 'calls' keys at a minimum."); }
-        if (merge) { mergeModel(model, data); }
+        const data = readPlan(JSON.parse(json));
+        if (merge) { mergeModel(model, options, data); }
         else { model.importModel(data); }
     } catch (e) {
         console.error("Invalid JSON data:", e);
+        showPlanError(e, options, "Invalid JSON");
+    }
+}
+
+/**
+ * Shows why a plan could not be read, listing every problem if the plan
+ * itself is invalid.
+ * @param {Error} e the error from JSON.parse() or readPlan()
+ * @param {object} options
+ * @param {string} title the title of the dialog if the error is not a PlanError
+ */
+export function showPlanError(e, options, title) {
+    const errors = e instanceof PlanError ? e.errors : [e instanceof SyntaxError ? `The JSON is invalid: ${e.message}` : e.message];
+    Swal.fire({
+        theme: options.theme,
+        title: e instanceof PlanError ? "Invalid Plan" : title,
+        html: "<ul class='func-planner-report'>" + errors.map(error => `<li class="error">${escapeHtml(error)}</li>`).join('') + "</ul>",
+        icon: "error",
+        showCloseButton: true,
+    });
+}
+
+/**
+ * Load Python code into the model, replacing the current model. The functions,
+ * call graph, and documentation are reverse-engineered from the code.
+ * @param {*} model
+ * @param {object} options
+ */
+export function loadPython(model, options={}) {
+    Swal.fire({
+        theme: options.theme,
+        imageUrl: pythonIcon,
+        imageWidth: "6em",
+        title: "Load Python",
+        html: "Paste the Python code below.<br>This will <em>overwrite</em> the current plan.",
+        input: "textarea",
+        showCancelButton: true,
+        showCloseButton: true,
+        inputValidator: (value) => {
+            if (!value) { return "Python code is required."; }
+            if (!looksLikePython(value)) { return "No function definitions found in the Python code."; }
+            return null;
+        },
+    }).then((result) => {
+        if (!result.isConfirmed) { return; }
+        loadPythonString(model, options, result.value);
+    });
+}
+
+function looksLikePython(text) {
+    return /^(async\s+)?def\s+\w+\s*\(/m.test(text);
+}
+
+function loadPythonString(model, options={}, code) {
+    try {
+        const data = parsePython(code);
+        if (data.functions.length === 0) { throw new Error("No function definitions found in the Python code."); }
+        model.importModel(data);
+    } catch (e) {
+        console.error("Invalid Python code:", e);
         Swal.fire({
             theme: options.theme,
-            title: "Invalid JSON",
-            text: "The JSON data is invalid.",
+            title: "Invalid Python",
+            text: `The Python code could not be loaded: ${e.message}`,
             icon: "error",
             showCloseButton: true,
         });
     }
 }
 
-function loadJSONFile(model, options={}, file) {
+/**
+ * Check the plan against its Python implementation. The differences are shown
+ * as problems in the diagram and inspectors until checking is stopped. If
+ * already checking, shows the current differences instead.
+ * @param {*} model
+ * @param {object} options
+ */
+export function checkAgainstPython(model, options={}) {
+    if (model.implementation) { showConformanceReport(model, options); return; }
+    Swal.fire({
+        theme: options.theme,
+        imageUrl: codeCheckIcon,
+        imageWidth: "6em",
+        title: "Check Against Code",
+        html: "Paste the Python code below or <label class='swal2-file-label'><a href='#'>choose a file</a>" +
+            "<input type='file' accept='.py,text/x-python' style='display: none'></label>.<br>" +
+            "Differences between the plan and the code will be shown as problems.",
+        input: "textarea",
+        showCancelButton: true,
+        showCloseButton: true,
+        willOpen: (popup) => {
+            const fileInput = popup.querySelector("input[type=file]");
+            popup.querySelector(".swal2-file-label a").addEventListener("click", (e) => { e.preventDefault(); fileInput.click(); });
+            fileInput.addEventListener("change", () => {
+                if (fileInput.files.length) { fileInput.files[0].text().then(text => { Swal.getInput().value = text; }); }
+            });
+        },
+        inputValidator: (value) => {
+            if (!value) { return "Python code is required."; }
+            if (!looksLikePython(value)) { return "No function definitions found in the Python code."; }
+            return null;
+        },
+    }).then((result) => {
+        if (!result.isConfirmed) { return; }
+        try {
+            model.setImplementation(parsePython(result.value));
+        } catch (e) {
+            console.error("Invalid Python code:", e);
+            Swal.fire({
+                theme: options.theme,
+                title: "Invalid Python",
+                text: `The Python code could not be checked: ${e.message}`,
+                icon: "error",
+                showCloseButton: true,
+            });
+            return;
+        }
+        showConformanceReport(model, options);
+    });
+}
+
+function showConformanceReport(model, options={}) {
+    const report = conformanceReport(model, options);
+    const html = report.length === 0 ? "The plan matches the code." :
+        "<ul class='func-planner-report'>" + report.map(({ severity, func, message }) =>
+            `<li class="${severity}">${func ? `<strong>${escapeHtml(func)}</strong> ` : ''}${escapeHtml(message)}</li>`
+        ).join("") + "</ul>";
+    Swal.fire({
+        theme: options.theme,
+        imageUrl: codeCheckIcon,
+        imageWidth: "6em",
+        title: report.length === 0 ? "Plan Matches Code" : `${report.length} Difference${report.length === 1 ? '' : 's'} Found`,
+        html,
+        showDenyButton: true,
+        showCancelButton: true,
+        showCloseButton: true,
+        confirmButtonText: "Keep Checking",
+        denyButtonText: "Stop Checking",
+        cancelButtonText: "Check Other Code",
+    }).then((result) => {
+        if (result.isDenied) { model.setImplementation(null); }
+        else if (result.dismiss === Swal.DismissReason.cancel) {
+            model.setImplementation(null);
+            checkAgainstPython(model, options);
+        }
+    });
+}
+
+/**
+ * Merge the whole state of a copy of this plan (a .fplan file) into the
+ * model. Files from a different plan are only merged after confirmation since
+ * JSON merging handles them better.
+ * @param {*} model
+ * @param {object} options
+ * @param {Uint8Array} update
+ */
+function loadState(model, options, update) {
+    const showError = (e) => {
+        console.error("Invalid plan file:", e);
+        Swal.fire({ theme: options.theme, title: "Invalid Plan", text: e.message, icon: "error", showCloseButton: true });
+    };
+    const merge = () => {
+        try { model.importState(update); } catch (e) { showError(e); }
+    };
+    let shared;
+    try { shared = model.sharesHistory(update); }
+    catch (e) { showError(new Error(`The file is not a plan: ${e.message}`)); return; }
+    if (shared) { merge(); return; }
+    confirmDialog("Different Plan",
+        "This file is not a copy of the current plan. Merging it keeps the functions of both plans but the " +
+        "documentation of only one. Use \"Merge from JSON\" to choose how the plans are combined instead.",
+        merge, options.theme);
+}
+
+function loadFile(model, options={}, file) {
     const reader = new FileReader();
-    reader.onload = () => { loadJSONString(model, options, reader.result); };
+    const name = file.name?.toLowerCase() ?? '';
+    const isState = name.endsWith(FPLAN_EXT);
+    reader.onload = () => {
+        if (isState) { loadState(model, options, new Uint8Array(reader.result)); }
+        else if (name.endsWith(".py")) { loadPythonString(model, options, reader.result); }
+        else { loadJSONString(model, options, reader.result); }
+    };
     reader.onerror = () => { Swal.fire({
         theme: options.theme,
         title: "File Error",
@@ -588,13 +608,14 @@ function loadJSONFile(model, options={}, file) {
         icon: "error",
         showCloseButton: true,
     }); };
-    reader.readAsText(file);
+    if (isState) { reader.readAsArrayBuffer(file); } else { reader.readAsText(file); }
 }
 
 export function setupDragAndDrop(model, options={}, div) {
     div.addEventListener("drop", (e) => {
         e.preventDefault();
         div.classList.remove(DRAG_OVER_CLASS);
+        if (model.readOnly) { return; }
 
         if (e.dataTransfer.items) {
             // TODO: dragging from VS Code comes over as a set of strings?
@@ -613,14 +634,15 @@ export function setupDragAndDrop(model, options={}, div) {
             // }
 
             const item = e.dataTransfer.items[0];
-            if (item.kind === "file") { loadJSONFile(model, options, item.getAsFile()); }
+            if (item.kind === "file") { loadFile(model, options, item.getAsFile()); }
             else if (item.kind === "string") {
                 item.getAsString((str) => {
                     if (str.startsWith("{")) { loadJSONString(model, options, str); }
+                    else if (looksLikePython(str)) { loadPythonString(model, options, str); }
                 });
             }
         } else if (e.dataTransfer.files) {
-            loadJSONFile(model, options, e.dataTransfer.files[0]);
+            loadFile(model, options, e.dataTransfer.files[0]);
         }
     });
     div.addEventListener("dragenter", (e) => { e.preventDefault(); div.classList.add(DRAG_OVER_CLASS); });
@@ -0,0 +1,133 @@
+/**
+ * Share links, which have a whole plan compressed into the fragment of the
+ * URL of the planner page (e.g. planner.html?assignment=hangman#share=...).
+ * Opening one shows the plan read-only over the viewer's own plan, and it can
+ * be forked into a new plan of the viewer's. Nothing is sent to a server
+ * since browsers don't send the fragment.
+ *
+ * The exported functions are:
+ *  - encodePlan(plan)
+ *  - decodePlan(text)
+ *  - makeShareLink(plan, pageURL)
+ *  - getSharedPlan(url)
+ *  - forkPlan(planId, plan, pageURL)
+ *  - showSharedPlan(planId, options)
+ */
+
+import Swal from 'sweetalert2';
+
+import { Model } from './model.js';
+import { readPlan } from './plan-schema.js';
+import { viewPlan } from './plan-viewer.js';
+
+const SHARE_PARAM = 'share';
+const COMPRESSION = 'deflate-raw';
+
+/** Links longer than this may be cut off by some browsers and email programs. */
+export const MAX_SHARE_LINK_LENGTH = 8000;
+
+async function transform(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+function toBase64URL(bytes) {
+    let binary = '';
+    for (const byte of bytes) { binary += String.fromCharCode(byte); }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64URL(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Compresses a plan into text that can be put in a URL.
+ * @param {object} plan in the same format as model.exportModel()
+ * @returns {Promise<string>} base64url text
+ */
+export async function encodePlan(plan) {
+    const json = new TextEncoder().encode(JSON.stringify(plan));
+    return toBase64URL(await transform(json, new CompressionStream(COMPRESSION)));
+}
+
+/**
+ * Decompresses a plan made by encodePlan() and checks it.
+ * @param {string} text
+ * @returns {Promise<object>} the plan, migrated to the current schema
+ * @throws {Error} if the text is not a plan (a PlanError if the plan itself is invalid)
+ */
+export async function decodePlan(text) {
+    let json;
+    try { json = new TextDecoder().decode(await transform(fromBase64URL(text), new DecompressionStream(COMPRESSION))); }
+    catch (e) { throw new Error('The share link is incomplete or damaged.'); }
+    return readPlan(JSON.parse(json));
+}
+
+/**
+ * Makes a share link for a plan.
+ * @param {object} plan in the same format as model.exportModel()
+ * @param {string} pageURL the URL of the planner page to open the plan on,
+ *  any plan id in it is removed so the link opens the recipient's own plan
+ * @returns {Promise<string>}
+ */
+export async function makeShareLink(plan, pageURL) {
+    const url = new URL(pageURL);
+    url.searchParams.delete('plan');
+    url.hash = `${SHARE_PARAM}=${await encodePlan(plan)}`;
+    return url.href;
+}
+
+/**
+ * Gets the plan in a share link.
+ * @param {string} url
+ * @returns {Promise<object|null>} the plan or null if the URL is not a share link
+ * @throws {Error} if the shared plan can't be read
+ */
+export async function getSharedPlan(url) {
+    const text = new URLSearchParams(new URL(url).hash.slice(1)).get(SHARE_PARAM);
+    return text ? decodePlan(text) : null;
+}
+
+/**
+ * Copies a shared plan into a new plan saved in this browser.
+ * @param {string} planId the id of the plan on the page, the new plan's id is based on it
+ * @param {object} plan
+ * @param {string} pageURL the URL of the planner page
+ * @returns {Promise<string>} the URL that opens the new plan
+ */
+export async function forkPlan(planId, plan, pageURL) {
+    const forkId = `${planId}-${Date.now().toString(36)}`;
+    const fork = new Model(forkId, plan);
+    await fork.whenSynced; // the plan is loaded as the initial data since the plan is new
+    await fork.saveSnapshot('Forked from a shared plan');
+    await fork.destroy(); // finishes saving before the page opens the plan
+    const url = new URL(pageURL);
+    url.searchParams.set('plan', forkId);
+    url.hash = '';
+    return url.href;
+}
+
+/**
+ * Shows the plan in the page's share link read-only, if the page was opened
+ * from one, with a button to fork it.
+ * @param {string} planId the id of the plan on the page
+ * @param {object} options the planner options (see plannerOptions() in function-planner.js)
+ */
+export async function showSharedPlan(planId, options) {
+    let plan;
+    try {
+        plan = await getSharedPlan(window.location.href);
+    } catch (e) {
+        console.error(e);
+        Swal.fire({ theme: options.theme, title: "Invalid Share Link", text: e.message, icon: "error", showCloseButton: true });
+        return;
+    }
+    if (!plan) { return; }
+    viewPlan(`${planId}-shared`, plan, { ...options, title: options.title ? `Shared Plan: ${options.title}` : 'Shared Plan' }, [{
+        text: 'Fork',
+        title: 'Copy this plan into a new plan of your own',
+        onClick: async () => { window.location.href = await forkPlan(planId, plan, window.location.href); },
+    }]);
+}
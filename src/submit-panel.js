@@ -0,0 +1,71 @@
+/**
+ * The "Submit" panel for plans saved to a plan server (see the submission
+ * methods of Model). Submitting records the number of errors and warnings at
+ * that time and locks the plan. It is not offered after the assignment's
+ * deadline (options.deadline), although the server is what enforces the
+ * deadline (see server/plan-server.js). Once submitted, the panel shows when.
+ *
+ * The exported functions are:
+ *  - showSubmit(model, options)
+ */
+
+import Swal from 'sweetalert2';
+
+import { collectProblems } from './grading.js';
+
+import submitIcon from '../images/submit.svg';
+
+function formatDate(date) {
+    return new Date(date).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Show the submit panel, submitting the plan if the student confirms.
+ * @param {*} model a model saved to a plan server
+ * @param {object} options options.deadline is when submissions close, if any
+ */
+export async function showSubmit(model, options={}) {
+    const swalOptions = { theme: options.theme, imageUrl: submitIcon, imageWidth: "6em", showCloseButton: true };
+    if (model.submission && await model.refreshSubmission()) { // it may have been reopened since
+        const { submitted, errors, warnings } = model.submission;
+        Swal.fire({
+            ...swalOptions,
+            title: "Submitted",
+            html: `<p>This plan was submitted on ${formatDate(submitted)}` +
+                (errors != null ? ` with ${errors} error(s) and ${warnings} warning(s)` : '') +
+                '.</p><p>It can no longer be changed. Ask your instructor if you need to reopen it.</p>',
+        });
+        return;
+    }
+    const deadline = options.deadline ? new Date(options.deadline) : null;
+    if (deadline && Date.now() > deadline) {
+        Swal.fire({
+            ...swalOptions,
+            title: "Submissions Closed",
+            html: `<p>The deadline was ${formatDate(deadline)}, late submissions are not accepted.</p>`,
+            icon: "error",
+        });
+        return;
+    }
+
+    const problems = collectProblems(model);
+    const errors = problems.filter(p => p.severity === 'error').length;
+    const warnings = problems.length - errors;
+    Swal.fire({
+        ...swalOptions,
+        title: "Submit Plan?",
+        html: `<p>The plan currently has <strong>${errors} error(s)</strong> and ${warnings} warning(s).</p>` +
+            (deadline ? `<p>The deadline is ${formatDate(deadline)}.</p>` : '') +
+            '<p>Once submitted, the plan can no longer be changed.</p>',
+        showCancelButton: true,
+        confirmButtonText: "Submit",
+        showLoaderOnConfirm: true,
+        preConfirm: async () => {
+            try { return await model.submit({ errors, warnings }); }
+            catch (e) { Swal.showValidationMessage(e.message); return false; }
+        },
+    }).then((result) => {
+        if (!result.isConfirmed) { return; }
+        Swal.fire({ ...swalOptions, title: "Submitted", text: `Your plan was submitted on ${formatDate(result.value.submitted)}.`, icon: "success" });
+    });
+}
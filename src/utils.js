@@ -1,8 +1,5 @@
 /** Utility functions. */
 
-import addIcon from '../images/add.svg';
-import removeIcon from '../images/remove.svg';
-
 /**
  * Deep equality check for two values, recursively checking objects and arrays.
  * @param {*} a
@@ -39,6 +36,26 @@ export function loadSVG(path, elem, fallback='') {
         });
 }
 
+/**
+ * Create a data URL for the given text, e.g. for download links.
+ * @param {string} text The contents.
+ * @param {string} mime The MIME type (and charset), default is plain text.
+ * @returns {string} The data URL.
+ */
+export function dataURL(text, mime='text/plain;charset=utf-8') {
+    return `data:${mime},${encodeURIComponent(text)}`;
+}
+
+/**
+ * Convert a value to a CSV field, quoting it if needed.
+ * @param {*} value The value, null or undefined become an empty field.
+ * @returns {string} The CSV field.
+ */
+export function csvValue(value) {
+    value = value == null ? '' : value.toString();
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
 /**
  * Escape HTML special characters in a string.
  * @param {string} unsafe The string to escape.
@@ -85,25 +102,3 @@ export function isMacOS() {
     const platform = window.navigator?.userAgentData?.platform || window.navigator.platform;
     return platform.toLowerCase().indexOf('mac') !== -1;
 }
-
-/**
- * Create a button element for adding items, with appropriate styling and SVG icon.
- * @returns {HTMLElement} The created add button element.
- */
-export function makeAddButton(onclick = null) { return makeButton("add", onclick); }
-
-/**
- * Create a button element for removing items, with appropriate styling and SVG icon.
- * @returns {HTMLElement} The created remove button element.
- */
-export function makeRemoveButton(onclick = null) { return makeButton("remove", onclick); }
-
-function makeButton(name, onclick = null) {
-    const button = document.createElement("div");
-    button.className = `func-button func-button-${name}`;
-    loadSVG(name === "remove" ? removeIcon : addIcon, button, name === "remove" ? "x" : "+");
-    if (onclick) {
-        button.addEventListener("click", onclick);
-    }
-    return button;
-}
@@ -1,5 +1,5 @@
 import { defineConfig } from 'vite';
-import cdn from 'vite-plugin-cdn-import';
+import { VitePWA } from 'vite-plugin-pwa';
 import { resolve } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -9,35 +9,52 @@ export default defineConfig({
   root: './',
   base: './',
   build: {
+    chunkSizeWarningLimit: 1100, // GoJS is bundled as its own chunk
     rollupOptions: {
       input: {
         'function-planner': resolve(__dirname, 'function-planner.html'),
-        'call-graph': resolve(__dirname, 'call-graph.html'),
-        'ipo': resolve(__dirname, 'ipo.html'),
-        'grades': resolve(__dirname, 'grades.html'),
-        'number-guess': resolve(__dirname, 'number-guess.html'),
-        'hangman-planner': resolve(__dirname, 'hangman.html'),
-        'bigrams': resolve(__dirname, 'bigrams.html'),
-        'cell-phone-family-plan': resolve(__dirname, 'cell-phone-family-plan.html'),
-        'madlibs': resolve(__dirname, 'madlibs.html'),
-        'final': resolve(__dirname, 'final.html'),
+        'planner': resolve(__dirname, 'planner.html'), // assignments are loaded from public/assignments/
+        'batch': resolve(__dirname, 'batch.html'),
+        'diff': resolve(__dirname, 'diff.html'),
+        'replay': resolve(__dirname, 'replay.html'),
+        'plans': resolve(__dirname, 'plans.html'),
       },
       output: {
         manualChunks: {
           yjs: ['yjs', 'y-websocket', 'y-indexeddb', 'fast-diff'],
           ui: ['prismjs', 'sortablejs', 'sweetalert2'],
-          // gojs: ['gojs'],
+          gojs: ['gojs'],
         }
       }
     }
   },
   plugins: [
-    cdn({
-      modules: [
-        {name: 'gojs', var: 'go', path: `release/go.js`},
-      ],
+    // everything is bundled and precached by a service worker so the planner works offline and can be installed
+    VitePWA({
+      registerType: 'autoUpdate',
+      injectRegister: 'script',
+      includeManifestIcons: false, // already precached from public/
+      manifest: {
+        name: 'Function Planner',
+        short_name: 'Planner',
+        description: 'Plan the functions of a Python program and how they call each other',
+        start_url: 'plans.html',
+        display: 'standalone',
+        background_color: '#ffffff',
+        theme_color: '#ffffff',
+        icons: [
+          { src: 'icon-192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'icon-512.png', sizes: '512x512', type: 'image/png', purpose: 'any' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png,ico,json,yaml}'], // includes the lab pages and assignments in public/
+        ignoreURLParametersMatching: [/./], // e.g. planner.html?assignment=hangman&plan=...
+        navigateFallback: null, // there is no single page app to fall back to
+        maximumFileSizeToCacheInBytes: 5 * 1024 * 1024, // GoJS is large
+      },
     }),
-],
+  ],
   server: {
     open: '/function-planner.html'
   }